@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+// bin/organic-lamp.js
+// Batch STL generation without a browser. Uses the same params defaults,
+// schema, printer clamping and print-body builder as the designer.
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import { join, extname } from "node:path";
+import { parseArgs } from "node:util";
+import * as THREE from "three";
+import { STLExporter } from "three/addons/exporters/STLExporter.js";
+import { defaultParams, validateParams, clampToPrinter, PARAM_SCHEMA } from "../src/params.js";
+import { presetPoints } from "../src/profile.js";
+import { parseDesign, DesignError } from "../src/design.js";
+import { buildPrintParts, buildPrintCap, openPartsMessage, partJoints } from "../src/printbody.js";
+import { buildGcode, formatDuration } from "../src/gcode.js";
+import { fittingRingSteps } from "../src/fittings.js";
+import { hasPerforations } from "../src/perforations.js";
+import { heatCheck, describeHeat, hasCapVents } from "../src/thermal.js";
+import { isSconce, sconceLayout } from "../src/sconce.js";
+import { buildDrawing, drawingToSvg, drawingToPdf } from "../src/drawing.js";
+import { build3mf, lampObjects, designFrom3mf } from "../src/threemf.js";
+import { serializeDesign } from "../src/design.js";
+import { getFilament } from "../src/filaments.js";
+import { getPrinter } from "../src/printers.js";
+import { runSteps } from "../src/geometry.js";
+
+const USAGE = `Usage: organic-lamp [input] [options]
+
+  input                  design file (.json, saved from the app, or a plain
+                         params object; or a .3mf exported by the app) or
+                         sweep table (.csv: one variant per row, header =
+                         param keys, optional "name" column)
+
+  -o, --out <dir>        output directory (default: stl)
+  -s, --set key=value    override one param, repeatable
+  -g, --sweep key=list   grid axis, repeatable; axes multiply. list is
+                         "a,b,c" or "from:to:count" (e.g. height=180:240:4)
+      --gcode            also write vase-mode <name>.gcode (gcode* params)
+      --3mf              also write <name>.3mf: parts, cap, ring, colour and design
+      --drawing <fmt>    also write a dimensioned drawing, <name>.svg or .pdf
+      --sections <list>  drawing section heights in mm, "a,b,c" (default quarters)
+      --dry-run          report only, write no files
+  -h, --help
+
+Writes <name>.stl per variant (<name>_part1.stl, … for lamps split with
+segmented=true; plus <name>_ring.stl with fittingRing=true) and report.csv,
+and prints a summary. Variants whose bulb would soften the print (bulbType,
+bulbWatts against the filament) fail; nearly too hot ones get a warning.
+Decorations use the height map baked into the design (decorMap): changing
+decorText or decorFont here does not redraw it; edit those in the app.`;
+
+class CliError extends Error {}
+
+const { version: APP_VERSION } = JSON.parse(await readFile(new URL("../package.json", import.meta.url), "utf8"));
+
+// ---- Values from text, typed by PARAM_SCHEMA ----
+function coerce(key, text) {
+  const rule = PARAM_SCHEMA[key];
+  if (!rule) throw new CliError(`Unknown param "${key}".`);
+  text = text.trim();
+  switch (rule.type) {
+    case "number": return text === "" ? NaN : Number(text);
+    case "boolean": return { true: true, "1": true, false: false, "0": false }[text.toLowerCase()] ?? text;
+    case "profile":
+    case "heightmap":
+      try { return JSON.parse(text); } catch { return text; }
+    default: return text;
+  }
+}
+
+function splitAssignment(arg) {
+  const at = arg.indexOf("=");
+  if (at < 1) throw new CliError(`Expected key=value, got "${arg}".`);
+  return [arg.slice(0, at).trim(), arg.slice(at + 1)];
+}
+
+function sweepValues(key, list) {
+  const range = list.match(/^\s*([-\d.]+)\s*:\s*([-\d.]+)\s*:\s*(\d+)\s*$/);
+  if (!range) return list.split(",").map(v => coerce(key, v));
+  const [from, to, count] = [Number(range[1]), Number(range[2]), Number(range[3])];
+  if (count < 1) throw new CliError(`Sweep "${key}" needs at least one step.`);
+  const rule = PARAM_SCHEMA[key];
+  if (rule?.type !== "number") throw new CliError(`Sweep range on non-numeric param "${key}".`);
+  return Array.from({ length: count }, (_, i) => {
+    const v = count === 1 ? from : from + (to - from) * i / (count - 1);
+    return rule.integer ? Math.round(v) : +v.toFixed(4);
+  });
+}
+
+// ---- CSV (RFC 4180 quoting) ----
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(f => f.trim() !== "")) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+const csvField = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+async function readInput(file) {
+  if (extname(file).toLowerCase() === ".3mf") {
+    let json;
+    try { json = designFrom3mf(await readFile(file)); } catch (err) { throw new CliError(`${file}: ${err.message}`); }
+    return { base: parseDesign(json), rows: [{}] };
+  }
+  const text = await readFile(file, "utf8");
+  if (extname(file).toLowerCase() === ".csv") {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new CliError(`${file} is empty.`);
+    const keys = header.map(h => h.trim());
+    return {
+      base: {},
+      rows: rows.map((cells, r) => {
+        const variant = {};
+        keys.forEach((key, i) => {
+          const cell = cells[i] ?? "";
+          if (cell.trim() === "") return;
+          if (key === "name") variant.name = cell.trim();
+          else variant.values = { ...variant.values, [key]: coerce(key, cell) };
+        });
+        if (!variant.values && !variant.name) throw new CliError(`${file} row ${r + 2} is empty.`);
+        return variant;
+      })
+    };
+  }
+
+  let doc;
+  try { doc = JSON.parse(text); } catch { throw new CliError(`${file} is not valid JSON.`); }
+  // Saved design document, or a bare (possibly partial) params object
+  const base = doc?.format ? parseDesign(doc) : doc;
+  if (!base || typeof base !== "object" || Array.isArray(base)) throw new CliError(`${file} must hold a params object.`);
+  return { base, rows: [{}] };
+}
+
+// ---- Variants: input rows × sweep grid, each on top of base + --set ----
+function expand(input, sets, sweeps) {
+  const axes = sweeps.map(arg => {
+    const [key, list] = splitAssignment(arg);
+    return { key, values: sweepValues(key, list) };
+  });
+  let grid = [{}];
+  for (const { key, values } of axes) {
+    grid = grid.flatMap(cell => values.map(v => ({ ...cell, [key]: v })));
+  }
+
+  const overrides = Object.fromEntries(sets.map(arg => {
+    const [key, value] = splitAssignment(arg);
+    return [key, coerce(key, value)];
+  }));
+
+  return input.rows.flatMap(row => grid.map(cell => ({
+    name: row.name,
+    changed: { ...row.values, ...cell },
+    values: { ...input.base, ...overrides, ...row.values, ...cell }
+  })));
+}
+
+function resolveParams(values) {
+  const problems = validateParams(values);
+  if (problems.length) throw new CliError(problems.join(" "));
+  const p = { ...defaultParams(), ...structuredClone(values) };
+  // A preset without explicit points means that preset's curve, as in the app
+  if (!("profile" in values) && p.profilePreset !== "custom") p.profile = presetPoints(p.profilePreset);
+  return p;
+}
+
+// Signed tetrahedron sum over the closed mesh → cm³
+function volumeCm3(geo) {
+  const pos = geo.attributes.position.array;
+  const idx = geo.index.array;
+  let v = 0;
+  for (let i = 0; i < idx.length; i += 3) {
+    const a = idx[i] * 3, b = idx[i + 1] * 3, c = idx[i + 2] * 3;
+    v += pos[a] * (pos[b + 1] * pos[c + 2] - pos[b + 2] * pos[c + 1])
+       - pos[a + 1] * (pos[b] * pos[c + 2] - pos[b + 2] * pos[c])
+       + pos[a + 2] * (pos[b] * pos[c + 1] - pos[b + 1] * pos[c]);
+  }
+  return v / 6 / 1000;
+}
+
+async function main() {
+  const { values: opts, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o", default: "stl" },
+      set: { type: "string", short: "s", multiple: true, default: [] },
+      sweep: { type: "string", short: "g", multiple: true, default: [] },
+      gcode: { type: "boolean", default: false },
+      "3mf": { type: "boolean", default: false },
+      drawing: { type: "string" },
+      sections: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  if (opts.help) { console.log(USAGE); return 0; }
+  if (positionals.length > 1) throw new CliError("Give at most one input file.");
+  if (opts.drawing && !["svg", "pdf"].includes(opts.drawing)) throw new CliError(`--drawing is svg or pdf, not "${opts.drawing}".`);
+
+  const input = positionals.length ? await readInput(positionals[0]) : { base: {}, rows: [{}] };
+  const variants = expand(input, opts.set, opts.sweep);
+  const pad = String(variants.length).length;
+  const exporter = new STLExporter();
+  if (!opts["dry-run"]) await mkdir(opts.out, { recursive: true });
+
+  const report = [];
+  let failed = 0;
+  for (const [i, variant] of variants.entries()) {
+    const name = variant.name ?? `organic_lamp_${String(i + 1).padStart(pad, "0")}`;
+    const fileBase = name.replace(/[^\w.-]+/g, "_");
+    const entry = { name, changed: variant.changed, warnings: [] };
+    const started = performance.now();
+    try {
+      const p = resolveParams(variant.values);
+      entry.warnings = clampToPrinter(p);
+      entry.height = p.height;
+      entry.rbase = p.rbase;
+      // Same gate as the app's exports: too hot is an error, nearly so a warning
+      const heat = heatCheck(p);
+      if (heat.level === "block") throw new CliError(`Too hot to print: ${describeHeat(heat).join(" ")}`);
+      if (heat.level === "warn") entry.warnings.push(...describeHeat(heat));
+      if (isSconce(p)) {
+        const { fitting, problems } = sconceLayout(p, { joints: partJoints(p) });
+        if (!fitting) throw new CliError(`No room for the fitting hole: ${problems.join(" ")}`);
+        entry.warnings.push(...problems);
+      }
+
+      const parts = buildPrintParts(p);
+      const ring = p.fittingRing && !opts["dry-run"] ? runSteps(fittingRingSteps(p)) : null;
+      const open = openPartsMessage(parts, { ring });
+      if (open) throw new CliError(open);
+      if (opts.gcode && parts.length > 1) throw new CliError("--gcode covers one-piece lamps only (this one is split into parts).");
+      if (opts.gcode && hasPerforations(p)) throw new CliError("--gcode cannot print perforations (perfShape is set).");
+      if (opts.gcode && hasCapVents(p)) throw new CliError("--gcode cannot print cap vents (capVents is set).");
+      if (opts.gcode && isSconce(p)) throw new CliError("--gcode cannot print a wall sconce (mount is sconce).");
+      entry.parts = parts.length;
+      entry.triangles = 0;
+      entry.volume = 0;
+      const files = [];
+      for (const [k, { geometry }] of parts.entries()) {
+        entry.triangles += geometry.index.count / 3;
+        entry.volume += volumeCm3(geometry);
+        if (!opts["dry-run"]) {
+          const stl = exporter.parse(new THREE.Mesh(geometry), { binary: true });
+          files.push(join(opts.out, parts.length > 1 ? `${fileBase}_part${k + 1}.stl` : `${fileBase}.stl`));
+          await writeFile(files[k], new Uint8Array(stl.buffer, stl.byteOffset, stl.byteLength));
+        }
+      }
+      if (files.length) entry.file = files.join(" ");
+
+      if (ring) {
+        const stl = exporter.parse(new THREE.Mesh(ring), { binary: true });
+        await writeFile(join(opts.out, `${fileBase}_ring.stl`), new Uint8Array(stl.buffer, stl.byteOffset, stl.byteLength));
+      }
+      if (opts["3mf"] && !opts["dry-run"]) {
+        // The 3MF holds the cap as an object of its own, so its body leaves the cap out
+        const bodies = buildPrintParts(p, { cap: false });
+        const cap = buildPrintCap(p);
+        const unclosed = openPartsMessage(bodies, { cap, ring });
+        if (unclosed) throw new CliError(unclosed);
+        const objects = lampObjects(p, bodies.map(part => part.geometry), { cap, ring });
+        await writeFile(join(opts.out, `${fileBase}.3mf`), build3mf(objects, {
+          design: serializeDesign(p),
+          filament: getFilament(p),
+          build: getPrinter(p).build,
+          appVersion: APP_VERSION
+        }));
+        for (const { geometry } of bodies) geometry.dispose();
+        cap.dispose();
+      }
+      for (const { geometry } of parts) geometry.dispose();
+      ring?.dispose();
+
+      if (opts.drawing && !opts["dry-run"]) {
+        const sheet = buildDrawing(p, { sections: opts.sections, appVersion: APP_VERSION });
+        await writeFile(join(opts.out, `${fileBase}.${opts.drawing}`),
+          opts.drawing === "pdf" ? drawingToPdf(sheet) : drawingToSvg(sheet));
+      }
+
+      if (opts.gcode) {
+        const gcode = buildGcode(p, { appVersion: APP_VERSION });
+        entry.printTime = gcode.seconds;
+        entry.filamentG = gcode.grams;
+        if (!opts["dry-run"]) await writeFile(join(opts.out, `${fileBase}.gcode`), gcode.text);
+      }
+    } catch (err) {
+      if (!(err instanceof CliError || err instanceof DesignError)) throw err;
+      entry.error = err.message;
+      failed++;
+    }
+    entry.ms = performance.now() - started;
+    report.push(entry);
+    printEntry(entry);
+  }
+
+  if (!opts["dry-run"]) {
+    const file = join(opts.out, "report.csv");
+    await writeFile(file, reportCsv(report));
+    console.log(`\n${report.length - failed}/${report.length} written, report in ${file}`);
+  }
+  return failed ? 1 : 0;
+}
+
+function printEntry(e) {
+  const changed = Object.entries(e.changed).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(" ");
+  if (e.error) {
+    console.log(`✗ ${e.name}  ${changed}\n    ${e.error}`);
+    return;
+  }
+  const parts = e.parts > 1 ? `${e.parts} parts, ` : "";
+  console.log(`✓ ${e.name}  h ${e.height} mm, r ${e.rbase} mm, ${parts}${e.triangles} tris, ` +
+    `${e.volume.toFixed(1)} cm³, ${(e.ms / 1000).toFixed(1)} s  ${changed}`);
+  if (e.printTime != null) console.log(`    vase mode: ${formatDuration(e.printTime)}, ${e.filamentG.toFixed(0)} g`);
+  for (const w of e.warnings) console.log(`    ! ${w}`);
+}
+
+function reportCsv(report) {
+  const header = ["name", "file", "changed", "height_mm", "rbase_mm", "triangles", "volume_cm3", "seconds",
+    "print_time_s", "filament_g", "warnings", "error"];
+  const lines = report.map(e => [
+    e.name,
+    e.file ?? "",
+    Object.entries(e.changed).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(" "),
+    e.height ?? "",
+    e.rbase ?? "",
+    e.triangles ?? "",
+    e.volume?.toFixed(2) ?? "",
+    (e.ms / 1000).toFixed(2),
+    e.printTime?.toFixed(0) ?? "",
+    e.filamentG?.toFixed(1) ?? "",
+    e.warnings.join(" | "),
+    e.error ?? ""
+  ].map(csvField).join(","));
+  return [header.join(","), ...lines].join("\n") + "\n";
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error(err instanceof CliError || err instanceof DesignError || err.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION"
+      ? `organic-lamp: ${err.message}` : err);
+    process.exitCode = 2;
+  }
+);
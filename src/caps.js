@@ -1,16 +1,50 @@
 // src/caps.js
 import * as THREE from "three";
-import { CSG } from "https://cdn.jsdelivr.net/npm/three-csg-ts/+esm";
-import { innerRadiusAt } from "./geometry.js";
+import { CSG } from "three-csg-ts";
+import { mergeGeometries } from "three/addons/utils/BufferGeometryUtils.js";
+import { innerRadiusAt, segmentsFor, runSteps } from "./geometry.js";
+import { fittingHoleR } from "./fittings.js";
+
+/**
+ * Cap options for the standing bottom cap, converted from the degree-based
+ * slot params into the radian options the cutter and debug guides expect.
+ */
+export function slotOptionsFromParams(p) {
+  const rad = THREE.MathUtils.degToRad;
+  return {
+    bottomSlot: true,
+    slotAngle: rad(p.slotAngleDeg),
+    slotRoll: rad(p.slotRollDeg),
+    slotMouth: rad(p.slotMouthDeg),
+    slotTilt: rad(p.slotTiltDeg),
+    slotWidth: p.slotWidth,
+    slotLength: p.slotLength,
+    slotOvershoot: p.slotOvershoot,
+    slotOffset: p.slotOffset
+  };
+}
 
 /**
  * Conforming cap at vFrac (0 bottom, 1 top), extruded +Z by capH.
  * We extrude only the outside contour, then subtract with CSG:
  *  - E27 center cylinder
  *  - ONE clipped capsule (D-slot) for the cable slot when bottomSlot=true
+ *  - options.vents ([{ x, y, r }], thermal.js ventLayout) as round holes
+ */
+export function buildConformingCap(p, vFrac, capH, holeR = fittingHoleR(p), options = {}) {
+  return runSteps(conformingCapSteps(p, vFrac, capH, holeR, options));
+}
+
+/**
+ * Same cap as a step generator: yields { label, done, total } before each CSG
+ * operation and returns the geometry, so a caller can report progress and
+ * drop the job between steps (see jobs.js).
  */
-export function buildConformingCap(p, vFrac, capH, holeR = 20, options = {}) {
-  const radialSeg = p.res === "low" ? 96 : (p.res === "med" ? 180 : 300);
+export function* conformingCapSteps(p, vFrac, capH, holeR = fittingHoleR(p), options = {}) {
+  const { radialSeg } = segmentsFor(p.res);
+  const slotted = !!options.bottomSlot && vFrac === 0;
+  const vents = options.vents ?? [];
+  const total = (slotted ? 4 : 1) + (vents.length ? 1 : 0);
   const EPS = 1e-4;
 
   // --- Outer contour (follow inner wall at this height) ---
@@ -36,7 +70,7 @@ export function buildConformingCap(p, vFrac, capH, holeR = 20, options = {}) {
   let capMesh = new THREE.Mesh(capGeom, new THREE.MeshStandardMaterial());
   capMesh.updateMatrixWorld(true);
 
-  // --- Cutter A: E27 hole (vertical through the whole lamp) ---
+  // --- Cutter A: fitting hole (vertical through the whole lamp) ---
   const e27Height = p.height + 20;
   const e27Geom = new THREE.CylinderGeometry(holeR, holeR, e27Height, 96);
   const e27Mesh = new THREE.Mesh(e27Geom);
@@ -44,6 +78,7 @@ export function buildConformingCap(p, vFrac, capH, holeR = 20, options = {}) {
   e27Mesh.position.set(0, 0, p.height / 2);
   e27Mesh.updateMatrixWorld(true);
 
+  yield { label: "Cap: fitting hole", done: 0, total };
   capMesh = CSG.toMesh(
     CSG.fromMesh(capMesh).subtract(CSG.fromMesh(e27Mesh)),
     capMesh.matrix,
@@ -52,10 +87,11 @@ export function buildConformingCap(p, vFrac, capH, holeR = 20, options = {}) {
   capMesh.updateMatrixWorld(true);
 
   // --- Cutter B: D-slot (only for bottom cap) ---
-  if (options.bottomSlot && vFrac === 0) {
-    const slotMesh = makeCapsuleCutter3D(p, 0, holeR, capH, options);
+  if (slotted) {
+    const slotMesh = yield* makeCapsuleCutter3D(p, 0, holeR, capH, options, total);
     slotMesh.updateMatrixWorld(true);
 
+    yield { label: "Cap: cable slot", done: 3, total };
     capMesh = CSG.toMesh(
       CSG.fromMesh(capMesh).subtract(CSG.fromMesh(slotMesh)),
       capMesh.matrix,
@@ -64,6 +100,23 @@ export function buildConformingCap(p, vFrac, capH, holeR = 20, options = {}) {
     capMesh.updateMatrixWorld(true);
   }
 
+  // --- Cutter C: vents (thermal.js ventLayout), all in one subtraction ---
+  if (vents.length) {
+    const ventGeom = mergeGeometries(vents.map(({ x, y, r }) => {
+      const g = new THREE.CylinderGeometry(r, r, capH + 2, 16);
+      g.rotateX(Math.PI / 2);
+      g.translate(x, y, zOff + capH / 2);
+      return g;
+    }));
+    yield { label: "Cap: vents", done: total - 1, total };
+    capMesh = CSG.toMesh(
+      CSG.fromMesh(capMesh).subtract(CSG.fromMesh(new THREE.Mesh(ventGeom))),
+      capMesh.matrix,
+      capMesh.material
+    );
+    capMesh.updateMatrixWorld(true);
+  }
+
   capMesh.geometry.computeVertexNormals();
   return capMesh.geometry;
 }
@@ -72,6 +125,7 @@ export function buildConformingCap(p, vFrac, capH, holeR = 20, options = {}) {
  * Build a true 3D capsule along the slot centerline, optionally tilted around
  * the mouth width axis (“blue axis”), then CLIP it at the mouth so it becomes
  * a D-shape (flat against the E27 hole). Returns a Mesh for CSG subtraction.
+ * Generator: yields progress before each of its two CSG operations.
  *
  * Options:
  *  slotAngle (rad)  – centerline direction (0=+X, 90°=+Y)
@@ -80,7 +134,7 @@ export function buildConformingCap(p, vFrac, capH, holeR = 20, options = {}) {
  *  slotTilt  (rad)  – TRUE 3D tilt around mouth width axis
  *  slotWidth (mm), slotLength (mm | 0=auto), slotOvershoot (mm), slotOffset (mm)
  */
-function makeCapsuleCutter3D(p, vFrac, holeR, capH, options) {
+function* makeCapsuleCutter3D(p, vFrac, holeR, capH, options, total) {
   const theta = options.slotAngle ?? 0;
   const roll  = options.slotRoll  ?? 0;
   const mouth = options.slotMouth ?? 0;
@@ -117,6 +171,7 @@ function makeCapsuleCutter3D(p, vFrac, holeR, capH, options) {
   const s0 = new THREE.Mesh(new THREE.SphereGeometry(halfW, 48, 24)); s0.position.copy(p0);
   const s1 = new THREE.Mesh(new THREE.SphereGeometry(halfW, 48, 24)); s1.position.copy(p1);
 
+  yield { label: "Slot cutter: capsule", done: 1, total };
   let cutter = CSG.toMesh(
     CSG.fromMesh(cylMesh).union(CSG.fromMesh(s0)).union(CSG.fromMesh(s1)),
     cylMesh.matrix,
@@ -156,6 +211,7 @@ function makeCapsuleCutter3D(p, vFrac, holeR, capH, options) {
   clipBox.updateMatrixWorld(true);
 
   // Intersect: keep only the forward part (flat at mouth)
+  yield { label: "Slot cutter: clip at mouth", done: 2, total };
   const clipped = CSG.toMesh(
     CSG.fromMesh(cutter).intersect(CSG.fromMesh(clipBox)),
     cutter.matrix,
@@ -0,0 +1,106 @@
+// src/decoration.js
+// Decoration layer: a grayscale height map (baked from text, an SVG logo or
+// an image by decorationImage.js in the app) laid onto a patch of the wall
+// as a radial displacement, raised or engraved, on top of the silhouette ×
+// pattern. geometry.js adds it in outerRadiusAt, so the inner wall, the caps,
+// the print body and the G-code all follow it. DOM-free: the map travels in
+// params as base64, so the worker and the CLI read it too.
+import { silhouetteFactor } from "./profile.js";
+
+export const DECORATION_KINDS = [
+  { value: "none", label: "None" },
+  { value: "text", label: "Text" },
+  { value: "svg", label: "SVG logo" },
+  { value: "image", label: "Grayscale image" }
+];
+
+export const DECORATION_MODES = [
+  { value: "raised", label: "Raised" },
+  { value: "engraved", label: "Engraved" }
+];
+
+export const MAX_MAP_PIXELS = 65536;   // baked map size limit (design files and share links carry it)
+
+const TAU = Math.PI * 2;
+const decoded = new WeakMap();   // decorMap → Float32Array of heights in [0, 1]
+
+/** A decoration is on the wall: a kind and a baked map. */
+export function hasDecoration(p) {
+  return p.decorKind !== "none" && !!p.decorMap;
+}
+
+/** Most the decoration stands proud of the plain wall (mm); 0 when engraved. */
+export function decorationRelief(p) {
+  return hasDecoration(p) && p.decorMode === "raised" ? p.decorDepth : 0;
+}
+
+/**
+ * Radial offset (mm) at (v, ang): the map's height there × decorDepth, out
+ * for raised, in for engraved. The map is decorSize high, as wide as its
+ * aspect asks measured around the silhouette at its centre height, centred
+ * on (decorV, decorAngleDeg), and repeated decorRepeat times around the lamp.
+ */
+export function decorationOffset(p, v, ang) {
+  if (!hasDecoration(p)) return 0;
+  const map = p.decorMap;
+  const size = p.decorSize;
+  const t = (p.decorV * p.height + size / 2 - v * p.height) / size;
+  if (t <= 0 || t >= 1) return 0;
+
+  const span = (size * map.w / map.h) / (p.rbase * silhouetteFactor(p, p.decorV));
+  const step = TAU / p.decorRepeat;
+  let d = (ang - (p.decorAngleDeg * Math.PI) / 180) % step;
+  if (d < -step / 2) d += step;
+  else if (d > step / 2) d -= step;
+  const s = 0.5 + d / span;
+  if (s <= 0 || s >= 1) return 0;
+
+  const h = sampleMap(map, s, t);
+  return p.decorMode === "engraved" ? -h * p.decorDepth : h * p.decorDepth;
+}
+
+// Bilinear sample at (s, t) in [0, 1]², t = 0 the map's top row.
+function sampleMap(map, s, t) {
+  const values = heights(map);
+  const x = s * map.w - 0.5, y = t * map.h - 0.5;
+  const x0 = Math.floor(x), y0 = Math.floor(y), fx = x - x0, fy = y - y0;
+  const at = (i, j) => (i < 0 || j < 0 || i >= map.w || j >= map.h ? 0 : values[j * map.w + i]);
+  const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * fx;
+  const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * fx;
+  return top + (bottom - top) * fy;
+}
+
+function heights(map) {
+  let values = decoded.get(map);
+  if (!values) {
+    const bytes = decodeBase64(map.data);
+    values = Float32Array.from(bytes, b => b / 255);
+    decoded.set(map, values);
+  }
+  return values;
+}
+
+/** { w, h, data } for a w × h array of 0–255 heights (row 0 at the top). */
+export function encodeMap(w, h, bytes) {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return { w, h, data: btoa(text) };
+}
+
+function decodeBase64(data) {
+  const text = atob(data);
+  return Uint8Array.from(text, c => c.charCodeAt(0));
+}
+
+/** Problems with a decorMap value, for validateParams. */
+export function validateMap(key, map) {
+  if (map === null) return [];
+  if (!map || typeof map !== "object" || !Number.isInteger(map.w) || !Number.isInteger(map.h) ||
+    map.w < 1 || map.h < 1 || map.w * map.h > MAX_MAP_PIXELS || typeof map.data !== "string") {
+    return [`"${key}" must be null or { w, h, data } with at most ${MAX_MAP_PIXELS} pixels.`];
+  }
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(map.data) || map.data.length !== Math.ceil((map.w * map.h) / 3) * 4) {
+    return [`"${key}" data must be base64 of ${map.w} × ${map.h} bytes.`];
+  }
+  return [];
+}
@@ -0,0 +1,67 @@
+// src/decorationImage.js
+// Bakes decorations into decoration.js height maps in the browser: text and
+// SVG logos are drawn on a canvas and their ink becomes height; grayscale
+// images give height by brightness (white = full depth).
+import { MAX_MAP_PIXELS, encodeMap } from "./decoration.js";
+
+const TEXT_ROWS = 96;        // map rows for a line of text
+const TEXT_MARGIN = 0.08;    // blank border, × the row count
+
+/** Height map for one line of `text` in a bold `font` family, or null for blank text. */
+export function textMap(text, font) {
+  if (!text.trim()) return null;
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const fontSpec = `bold ${Math.round(TEXT_ROWS * 0.72)}px ${font}`;
+  ctx.font = fontSpec;
+  const margin = Math.round(TEXT_ROWS * TEXT_MARGIN);
+  const w = Math.min(Math.ceil(ctx.measureText(text).width) + 2 * margin, Math.floor(MAX_MAP_PIXELS / TEXT_ROWS));
+  canvas.width = w;
+  canvas.height = TEXT_ROWS;
+  ctx.font = fontSpec;   // resizing the canvas resets the context
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#000";
+  ctx.fillText(text, margin, TEXT_ROWS / 2, w - 2 * margin);
+  return bake(ctx, w, TEXT_ROWS, (luma, alpha) => alpha);
+}
+
+/**
+ * Height map for an SVG logo (`kind` "svg": dark, opaque ink is high) or a
+ * grayscale image ("image": brightness is high), scaled to MAX_MAP_PIXELS.
+ * Rejects when the browser cannot decode the file.
+ */
+export async function imageFileMap(file, kind) {
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    try {
+      await img.decode();
+    } catch {
+      throw new Error(`Could not read ${file.name} as ${kind === "svg" ? "an SVG" : "an image"}.`);
+    }
+    const w0 = img.naturalWidth || 300, h0 = img.naturalHeight || 150;   // SVGs without a size
+    let scale = Math.sqrt(MAX_MAP_PIXELS / (w0 * h0));
+    if (kind === "image") scale = Math.min(1, scale);   // vector art may grow, photos only shrink
+    const w = Math.max(1, Math.floor(w0 * scale)), h = Math.max(1, Math.floor(h0 * scale));
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, w, h);
+    return bake(ctx, w, h, kind === "svg" ? (luma, alpha) => alpha * (1 - luma) : (luma, alpha) => alpha * luma);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Canvas pixels → encoded map, `height(luma, alpha)` in [0, 1] per pixel.
+function bake(ctx, w, h, height) {
+  const rgba = ctx.getImageData(0, 0, w, h).data;
+  const bytes = new Uint8Array(w * h);
+  for (let i = 0; i < bytes.length; i++) {
+    const luma = (0.2126 * rgba[i * 4] + 0.7152 * rgba[i * 4 + 1] + 0.0722 * rgba[i * 4 + 2]) / 255;
+    bytes[i] = Math.round(255 * height(luma, rgba[i * 4 + 3] / 255));
+  }
+  return encodeMap(w, h, bytes);
+}
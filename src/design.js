@@ -0,0 +1,174 @@
+// src/design.js
+// Design documents: the persistable part of `params` as versioned JSON, for
+// files, named presets in localStorage and compressed share links.
+import { PARAM_SCHEMA, validateParams, defaultParams } from "./params.js";
+import { designFrom3mf } from "./threemf.js";
+
+export const DESIGN_FORMAT = "organic-lamp-design";
+export const DESIGN_VERSION = 3;
+
+const PRESET_KEY = "organicLamp.presets";
+const HASH_PREFIX = "#design=";
+
+export class DesignError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}\n• ${problems.join("\n• ")}` : message);
+    this.name = "DesignError";
+    this.problems = problems;
+  }
+}
+
+// Upgrades from version N to N + 1, applied in order.
+const MIGRATIONS = {
+  // v1 (app 0.9.x): ripple direction select, fixed belly silhouette
+  1: doc => {
+    const { ripdir, ...rest } = doc.params;
+    return { ...doc, version: 2, params: { ...rest, pattern: ripdir ?? "vertical" } };
+  },
+  // v2 (app 0.9.3): five fixed finishes, before the filament library
+  2: doc => {
+    const { finish, ...rest } = doc.params;
+    return { ...doc, version: 3, params: { ...rest, filament: FINISH_FILAMENTS[finish] ?? "generic_pla_white" } };
+  }
+};
+
+const FINISH_FILAMENTS = {
+  opaque_white: "generic_pla_white",
+  translucent_white: "generic_pla_natural",
+  bronze: "polymaker_silk_bronze",
+  silver: "polymaker_silk_silver",
+  gold: "polymaker_silk_gold"
+};
+
+/** Versioned document for the current params. */
+export function serializeDesign(params) {
+  const values = {};
+  for (const key of Object.keys(PARAM_SCHEMA)) {
+    if (key in params) values[key] = structuredClone(params[key]);
+  }
+  return {
+    format: DESIGN_FORMAT,
+    version: DESIGN_VERSION,
+    appVersion: globalThis.window?.APP_VERSION ?? null,
+    savedAt: new Date().toISOString(),
+    params: values
+  };
+}
+
+/**
+ * Parse, migrate and validate a document (object or JSON text). Returns a
+ * complete params set (missing fields from defaults); throws DesignError.
+ */
+export function parseDesign(input) {
+  let doc = input;
+  if (typeof input === "string") {
+    try { doc = JSON.parse(input); }
+    catch { throw new DesignError("Not valid JSON."); }
+  }
+  if (!doc || doc.format !== DESIGN_FORMAT || typeof doc.params !== "object") {
+    throw new DesignError("Not an Organic Lamp design.");
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > DESIGN_VERSION) {
+    throw new DesignError(`Unsupported design version ${doc.version} (this app reads 1–${DESIGN_VERSION}).`);
+  }
+  while (doc.version < DESIGN_VERSION) doc = MIGRATIONS[doc.version](doc);
+
+  const problems = validateParams(doc.params);
+  if (problems.length) throw new DesignError("The design has invalid fields:", problems);
+  return { ...defaultParams(), ...structuredClone(doc.params) };
+}
+
+/** Copy loaded values into the live params object. */
+export function applyDesign(target, values) {
+  for (const key of Object.keys(PARAM_SCHEMA)) {
+    if (key in values) target[key] = structuredClone(values[key]);
+  }
+}
+
+/* ---------------- Files ---------------- */
+
+export function downloadDesign(params, filename = "organic_lamp.lamp.json") {
+  const blob = new Blob([JSON.stringify(serializeDesign(params), null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+}
+
+/** Design from a saved .json file, or from a .3mf exported by the app. */
+export async function readDesignFile(file) {
+  if (/\.3mf$/i.test(file.name)) {
+    try { return parseDesign(designFrom3mf(new Uint8Array(await file.arrayBuffer()))); }
+    catch (err) { throw err instanceof DesignError ? err : new DesignError(err.message); }
+  }
+  return parseDesign(await file.text());
+}
+
+/* ---------------- Named presets (localStorage) ---------------- */
+
+function readPresets() {
+  try { return JSON.parse(localStorage.getItem(PRESET_KEY)) ?? {}; }
+  catch { return {}; }
+}
+
+export function listPresets() {
+  return Object.keys(readPresets()).sort((a, b) => a.localeCompare(b));
+}
+
+export function savePreset(name, params) {
+  const all = readPresets();
+  all[name] = serializeDesign(params);
+  localStorage.setItem(PRESET_KEY, JSON.stringify(all));
+}
+
+export function loadPreset(name) {
+  const doc = readPresets()[name];
+  if (!doc) throw new DesignError(`No preset named "${name}".`);
+  return parseDesign(doc);
+}
+
+export function deletePreset(name) {
+  const all = readPresets();
+  delete all[name];
+  localStorage.setItem(PRESET_KEY, JSON.stringify(all));
+}
+
+/* ---------------- Share links (deflate + base64url in the hash) ---------------- */
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+export async function designToHash(params) {
+  const json = new TextEncoder().encode(JSON.stringify(serializeDesign(params)));
+  return HASH_PREFIX + toBase64Url(await pipeBytes(json, new CompressionStream("deflate-raw")));
+}
+
+/** Params from a location hash, or null when the hash carries no design. */
+export async function designFromHash(hash) {
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+  let json;
+  try {
+    const bytes = await pipeBytes(fromBase64Url(hash.slice(HASH_PREFIX.length)), new DecompressionStream("deflate-raw"));
+    json = new TextDecoder().decode(bytes);
+  } catch {
+    throw new DesignError("The shared link is damaged or incomplete.");
+  }
+  return parseDesign(json);
+}
+
+export async function shareLink(params) {
+  return location.origin + location.pathname + await designToHash(params);
+}
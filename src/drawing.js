@@ -0,0 +1,435 @@
+// src/drawing.js
+// Dimensioned technical drawing on one A3 landscape sheet: side silhouette,
+// cross-sections, the cap in plan, overall dimensions, the parameter table
+// and a title block. The sheet is a list of primitives in mm (y down) that
+// renders to SVG text or a one-page PDF. DOM-free, so the CLI writes it too.
+import { getFitting, fittingHoleR } from "./fittings.js";
+import { getFilament, filamentLabel } from "./filaments.js";
+import { getPrinter } from "./printers.js";
+import { PARAM_SCHEMA } from "./params.js";
+import { hasCapVents, ventLayout } from "./thermal.js";
+import { DESIGN_VERSION } from "./design.js";
+import { isSconce, sconcePlane, sconceLayout, capHoleR, printOuterRadiusAt, printInnerRadiusAt } from "./sconce.js";
+import { partJoints } from "./printbody.js";
+
+const SHEET = { width: 420, height: 297, margin: 10 };   // A3 landscape, mm
+const AREAS = {
+  side: { x: 20, y: 22, w: 150, h: 176 },
+  cap: { x: 178, y: 22, w: 118, h: 176 },
+  sections: { x: 20, y: 212, w: 276, h: 70 },
+  table: { x: 304, y: 22, w: 104, h: 206 },
+  title: { x: 304, y: 234, w: 104, h: 51 }
+};
+const SCALES = [2, 1, 1 / 2, 1 / 2.5, 1 / 5, 1 / 10, 1 / 20];
+const HEIGHT_SAMPLES = 160;
+const ANGLE_SAMPLES = 360;
+const MAX_SECTIONS = 4;
+// Room (mm on the sheet) each view keeps around the drawn lamp for its
+// dimensions, letters and notes: { w, h, top }
+const SIDE_PAD = { w: 46, h: 36, top: 12 };
+const SECTION_PAD = { w: 6, h: 14, top: 4.5 };
+const CAP_PAD = { w: 10, h: 30, top: 7 };
+const TABLE_SKIP = new Set(["gcodeStart", "gcodeEnd", "slotDebug"]);   // templates and view toggles
+const MOUNT_LABELS = { hanging: "Hanging", standing: "Standing", sconce: "Wall sconce" };
+
+const THICK = 0.5, THIN = 0.25, FINE = 0.13;
+const TEXT = 2.5, SMALL = 1.8, HEADING = 3.5, TITLE = 5;
+const DASH = { hidden: [2, 1], centre: [8, 1.5, 1.5, 1.5] };
+const ARROW = 2.5;
+
+/**
+ * Sheet for `p`: { width, height, items }. Items are
+ *  { kind: "path", rings: [[[x, y], …], …], closed, width, dash, fill, grey }
+ *  { kind: "text", x, y, text, size, anchor ("start" | "middle" | "end"), angle (° CCW) }
+ * Options:
+ *  capH        cap thickness (mm)
+ *  sections    heights for the cross-sections (mm; default quarters), up to 4
+ *  appVersion  for the table heading and the title block
+ */
+export function buildDrawing(p, { capH = 5, sections, appVersion = globalThis.window?.APP_VERSION ?? "cli" } = {}) {
+  const items = [];
+  const heights = sectionHeights(p, sections);
+  const { right, left } = sideSilhouette(p);
+  const widest = Math.max(...right.map((r, j) => r + left[j]));
+  const reach = Math.max(...right, ...left);
+
+  // Each view at the largest standard scale that fits its area
+  const cellW = AREAS.sections.w / heights.length;
+  const scales = {
+    side: pickScale(2 * reach, p.height, AREAS.side, SIDE_PAD),
+    cap: pickScale(2 * reach, 2 * reach, AREAS.cap, CAP_PAD),
+    section: pickScale(2 * reach, 2 * reach, { w: cellW, h: AREAS.sections.h }, SECTION_PAD)
+  };
+
+  frame(items);
+  sideView(items, p, { right, left, widest, heights, capH, s: scales.side });
+  capView(items, p, { capH, s: scales.cap });
+  heights.forEach((z, k) => sectionView(items, p, z, k, {
+    x: AREAS.sections.x + k * cellW, y: AREAS.sections.y, w: cellW, h: AREAS.sections.h
+  }, scales.section));
+  paramTable(items, p, appVersion);
+  titleBlock(items, p, { appVersion, scales });
+  return { width: SHEET.width, height: SHEET.height, items };
+}
+
+/** Section heights (mm) from a list or "a, b, c" text; quarters by default. */
+export function sectionHeights(p, sections) {
+  const list = typeof sections === "string"
+    ? sections.split(/[,;\s]+/).filter(Boolean).map(Number)
+    : sections ?? [];
+  const valid = list.filter(z => Number.isFinite(z) && z > 0 && z < p.height);
+  const heights = valid.length ? valid : [0.25, 0.5, 0.75].map(f => f * p.height);
+  return [...new Set(heights)].sort((a, b) => a - b).slice(0, MAX_SECTIONS);
+}
+
+// ---- Views ----
+
+// Side silhouette seen along +Y: at each height, the furthest the wall
+// reaches to the right (+X) and to the left.
+function sideSilhouette(p) {
+  const right = [], left = [];
+  for (let j = 0; j <= HEIGHT_SAMPLES; j++) {
+    const v = j / HEIGHT_SAMPLES;
+    let r = 0, l = 0;
+    for (let i = 0; i < ANGLE_SAMPLES; i++) {
+      const ang = (i / ANGLE_SAMPLES) * 2 * Math.PI;
+      const x = printOuterRadiusAt(p, v, ang) * Math.cos(ang);
+      r = Math.max(r, x);
+      l = Math.max(l, -x);
+    }
+    right.push(r);
+    left.push(l);
+  }
+  return { right, left };
+}
+
+function sideView(items, p, { right, left, widest, heights, capH, s }) {
+  const a = AREAS.side, H = p.height;
+  const cx = a.x + (a.w + 12) / 2 + ((Math.max(...left) - Math.max(...right)) / 2) * s;
+  const base = a.y + SIDE_PAD.top + H * s + (a.h - SIDE_PAD.h - H * s) / 2;
+  const at = (x, z) => [cx + x * s, base - z * s];
+  const zAt = j => (j / HEIGHT_SAMPLES) * H;
+
+  heading(items, a, `Side view  ${scaleLabel(s)}`);
+  const outline = [
+    ...right.map((r, j) => at(r, zAt(j))),
+    ...left.map((l, j) => at(-l, zAt(j))).reverse()
+  ];
+  items.push(path([outline], { closed: true, width: THICK }));
+
+  // Cap (hidden inside the wall) and the fitting hole through it (a
+  // sconce's goes through the back instead)
+  const holeR = capHoleR(p);
+  const [z0, z1] = p.mount === "standing" ? [0, capH] : [H - capH, H];
+  const capZ = p.mount === "standing" ? z1 : z0;
+  const v = capZ / H;
+  items.push(path([[at(-printInnerRadiusAt(p, v, Math.PI), capZ), at(printInnerRadiusAt(p, v, 0), capZ)]], { dash: DASH.hidden }));
+  if (holeR) for (const x of [-holeR, holeR]) items.push(path([[at(x, z0), at(x, z1)]], { dash: DASH.hidden }));
+  items.push(path([[at(0, -4 / s), at(0, H + 4 / s)]], { width: FINE, dash: DASH.centre }));
+
+  // Section planes, lettered at both ends
+  heights.forEach((z, k) => {
+    const j = Math.round((z / H) * HEIGHT_SAMPLES);
+    const [xl, y] = at(-left[j], z), [xr] = at(right[j], z);
+    items.push(path([[[xl - 6, y], [xr + 6, y]]], { width: FINE, dash: DASH.centre }));
+    for (const x of [xl - 8, xr + 8]) items.push(text(x, y + 1, sectionLetter(k), { size: HEADING, anchor: "middle" }));
+  });
+
+  // Overall height, top, base and widest width
+  const [, yTop] = at(0, H), [, yBase] = at(0, 0);
+  const xMin = Math.min(...outline.map(pt => pt[0]));
+  vDim(items, yBase, yTop, at(-left[0], 0)[0], at(-left[HEIGHT_SAMPLES], H)[0], xMin - 12, mm(H));
+  hDim(items, at(-left[HEIGHT_SAMPLES], H)[0], at(right[HEIGHT_SAMPLES], H)[0], yTop, yTop, yTop - 8,
+    mm(left[HEIGHT_SAMPLES] + right[HEIGHT_SAMPLES]));
+  hDim(items, at(-left[0], 0)[0], at(right[0], 0)[0], yBase, yBase, yBase + 8, mm(left[0] + right[0]));
+  const jw = right.findIndex((r, j) => r + left[j] === widest);
+  const [xwl, yw] = at(-left[jw], zAt(jw)), [xwr] = at(right[jw], zAt(jw));
+  hDim(items, xwl, xwr, yw, yw, yBase + 16, `${mm(widest)} max`);
+}
+
+// The cap in plan with its fitting hole (none on a sconce: its fitting goes
+// through the back) and vents or cable slot: seen from above for hanging
+// lamps, from below for standing ones.
+function capView(items, p, { capH, s }) {
+  const a = AREAS.cap, standing = p.mount === "standing";
+  const cx = a.x + a.w / 2, cy = a.y + CAP_PAD.top + (a.h - CAP_PAD.h) / 2;
+  const at = (x, y) => [cx + x * s, cy - (standing ? -y : y) * s];
+  const v = standing ? 0 : 1, capV = standing ? capH / p.height : 1 - capH / p.height;
+
+  heading(items, a, `${standing ? "Bottom cap, from below" : "Top cap, from above"}  ${scaleLabel(s)}`);
+  items.push(path([polar(at, ang => printOuterRadiusAt(p, v, ang))], { closed: true, width: THICK }));
+  items.push(path([polar(at, ang => printInnerRadiusAt(p, capV, ang))], { closed: true, width: THIN, dash: DASH.hidden }));
+
+  const holeR = capHoleR(p);
+  if (holeR) {
+    items.push(path([circle(at, 0, 0, holeR)], { closed: true, width: THICK }));
+    items.push(path([[at(-holeR - 4 / s, 0), at(holeR + 4 / s, 0)]], { width: FINE, dash: DASH.centre }));
+    items.push(path([[at(0, -holeR - 4 / s), at(0, holeR + 4 / s)]], { width: FINE, dash: DASH.centre }));
+    hDim(items, at(-holeR, 0)[0], at(holeR, 0)[0], cy, cy, cy - holeR * s - 6, `Ø${mm(2 * holeR)}`);
+  }
+
+  const fitting = getFitting(p), fitR = fittingHoleR(p);
+  const sconce = isSconce(p) ? sconceLayout(p, { joints: partJoints(p), capH }) : null;
+  const where = !sconce ? "" : sconce.fitting ? ` through the back at z = ${mm(sconce.fitting.z)}` : " (does not fit the back)";
+  const notes = [`Hole Ø${mm(2 * fitR)}${where} for the ${fitting.label} (Ø${fitting.holeD} + ${fitting.clearance} clearance)`, `Cap ${mm(capH)} thick`];
+  if (hasCapVents(p)) {
+    const layout = ventLayout(p, { capH, holeR });
+    for (const { x, y, r } of layout?.vents ?? []) items.push(path([circle(at, x, y, r)], { closed: true, width: THIN }));
+    if (layout) {
+      const ring = Math.hypot(layout.vents[0].x, layout.vents[0].y);
+      notes.push(`${layout.vents.length} vents Ø${mm(2 * layout.vents[0].r)} on a Ø${mm(2 * ring)} circle`);
+    }
+  }
+  if (sconce) {
+    const { outer } = sconcePlane(p), { keyholes, channel } = sconce;
+    notes.push(`Flat back ${mm(p.sconceBack)} thick, ${mm(outer)} from the axis at ${Math.round(p.sconceAngleDeg)}°`);
+    if (keyholes.length) {
+      notes.push(`Keyholes Ø${mm(p.keyholeHead)} / ${mm(p.keyholeShank)} slot, ${mm(keyholes[1].u - keyholes[0].u)} apart at z = ${mm(keyholes[0].z)}` +
+        (channel ? `; cable groove ${mm(2 * channel.halfW)} × ${mm(channel.depth)}` : ""));
+    }
+  }
+  if (standing) {
+    // Cable slot: its centre line from the hole out past the rim
+    const ang = (p.slotAngleDeg * Math.PI) / 180;
+    const rim = printOuterRadiusAt(p, 0, ang) + p.slotOvershoot;
+    const dir = [Math.cos(ang), Math.sin(ang)], side = [-dir[1] * p.slotWidth / 2, dir[0] * p.slotWidth / 2];
+    const r0 = holeR + p.slotOffset;
+    items.push(path([[
+      at(dir[0] * r0 + side[0], dir[1] * r0 + side[1]), at(dir[0] * rim + side[0], dir[1] * rim + side[1]),
+      at(dir[0] * rim - side[0], dir[1] * rim - side[1]), at(dir[0] * r0 - side[0], dir[1] * r0 - side[1])
+    ]], { closed: true, width: THIN }));
+    notes.push(`Cable slot ${mm(p.slotWidth)} wide at ${Math.round(p.slotAngleDeg)}°`);
+  }
+  notes.forEach((line, k) => items.push(text(a.x + 2, a.y + a.h - 8 + k * 3.5 - (notes.length - 2) * 3.5, line, { size: SMALL })));
+}
+
+// Cross-section at height z (mm): outer and inner wall (printInnerRadiusAt), with
+// the wall between them filled, seen from above.
+function sectionView(items, p, z, k, cell, s) {
+  const cx = cell.x + cell.w / 2, cy = cell.y + SECTION_PAD.top + (cell.h - SECTION_PAD.h) / 2;
+  const at = (x, y) => [cx + x * s, cy - y * s];
+  const v = z / p.height;
+  const outer = polar(at, ang => printOuterRadiusAt(p, v, ang));
+  const inner = polar(at, ang => printInnerRadiusAt(p, v, ang));
+  const radii = fn => Array.from({ length: ANGLE_SAMPLES }, (_, i) => fn(p, v, (i / ANGLE_SAMPLES) * 2 * Math.PI));
+  const out = radii(printOuterRadiusAt), inn = radii(printInnerRadiusAt);
+
+  const letter = sectionLetter(k);
+  items.push(text(cx, cell.y + 3, `${letter}–${letter}  z = ${mm(z)}`, { size: TEXT, anchor: "middle" }));
+  items.push(path([outer, inner], { closed: true, width: THIN, fill: 0.8 }));
+  items.push(path([[at(-4 / s - Math.max(...out), 0), at(Math.max(...out) + 4 / s, 0)]], { width: FINE, dash: DASH.centre }));
+  items.push(path([[at(0, -4 / s - Math.max(...out)), at(0, Math.max(...out) + 4 / s)]], { width: FINE, dash: DASH.centre }));
+  items.push(text(cx, cell.y + cell.h - 4, `outer Ø${mm(2 * Math.min(...out))}–${mm(2 * Math.max(...out))}`, { size: SMALL, anchor: "middle" }));
+  items.push(text(cx, cell.y + cell.h - 1, `inner Ø${mm(2 * Math.min(...inn))}–${mm(2 * Math.max(...inn))}, wall ${mm(p.wallFixed)}`, { size: SMALL, anchor: "middle" }));
+}
+
+// Every persistable param (PARAM_SCHEMA order), in as many columns as fit.
+function paramTable(items, p, appVersion) {
+  const a = AREAS.table, pitch = 2.6, top = a.y + 7;
+  const keys = Object.keys(PARAM_SCHEMA).filter(key => key in p && !TABLE_SKIP.has(key));
+  const perColumn = Math.floor((a.h - 7) / pitch);
+  const columns = Math.ceil(keys.length / perColumn);
+  const colW = a.w / columns;
+
+  items.push(text(a.x, a.y + 3, `Parameters (v${appVersion}, design format ${DESIGN_VERSION})`, { size: TEXT }));
+  keys.forEach((key, n) => {
+    const col = Math.floor(n / perColumn), row = n % perColumn;
+    const x = a.x + col * colW, y = top + row * pitch;
+    items.push(text(x, y + 1.9, key, { size: SMALL }));
+    items.push(text(x + colW - 2, y + 1.9, paramValue(key, p[key]), { size: SMALL, anchor: "end" }));
+    items.push(path([[[x, y + 2.5], [x + colW - 2, y + 2.5]]], { width: FINE, grey: 0.7 }));
+  });
+}
+
+function titleBlock(items, p, { appVersion, scales }) {
+  const a = AREAS.title;
+  items.push(path([rect(a.x, a.y, a.w, a.h)], { closed: true, width: THICK }));
+  items.push(text(a.x + 3, a.y + 8, "Organic lamp shade", { size: TITLE }));
+  const lines = [
+    `${MOUNT_LABELS[p.mount]} · ${mm(p.height)} high · ${p.pattern} pattern`,
+    `Fitting: ${getFitting(p).label}`,
+    `Filament: ${filamentLabel(getFilament(p))}`,
+    `Printer: ${getPrinter(p).label}`,
+    `Units mm · scales: side ${scaleLabel(scales.side)}, cap ${scaleLabel(scales.cap)}, sections ${scaleLabel(scales.section)}`,
+    `Organic Lamp Designer v${appVersion} · ${new Date().toISOString().slice(0, 10)}`
+  ];
+  lines.forEach((line, k) => items.push(text(a.x + 3, a.y + 15 + k * 5.5, line, { size: TEXT })));
+}
+
+function frame(items) {
+  const { width, height, margin } = SHEET;
+  items.push(path([rect(margin, margin, width - 2 * margin, height - 2 * margin)], { closed: true, width: THICK }));
+}
+
+function heading(items, area, label) {
+  items.push(text(area.x, area.y - 4, label, { size: HEADING }));
+}
+
+// ---- Dimensions: extension lines, arrowed dimension line, value ----
+
+function hDim(items, x1, x2, y1, y2, y, label) {
+  const sign = Math.sign(y - (y1 + y2) / 2) || -1;
+  items.push(path([[[x1, y1 + sign * 1], [x1, y + sign * 2]], [[x2, y2 + sign * 1], [x2, y + sign * 2]]], { width: FINE }));
+  items.push(path([[[x1, y], [x2, y]]], { width: FINE }));
+  arrow(items, [x1, y], [1, 0]);
+  arrow(items, [x2, y], [-1, 0]);
+  items.push(text((x1 + x2) / 2, y - 1, label, { size: TEXT, anchor: "middle" }));
+}
+
+function vDim(items, y1, y2, x1, x2, x, label) {
+  const sign = Math.sign(x - (x1 + x2) / 2) || -1;
+  items.push(path([[[x1 + sign * 1, y1], [x + sign * 2, y1]], [[x2 + sign * 1, y2], [x + sign * 2, y2]]], { width: FINE }));
+  items.push(path([[[x, y1], [x, y2]]], { width: FINE }));
+  arrow(items, [x, y1], [0, Math.sign(y2 - y1)]);
+  arrow(items, [x, y2], [0, Math.sign(y1 - y2)]);
+  items.push(text(x - 1, (y1 + y2) / 2, label, { size: TEXT, anchor: "middle", angle: 90 }));
+}
+
+// Filled arrowhead with its tip at `tip`, pointing back along `dir`.
+function arrow(items, [x, y], [dx, dy]) {
+  const w = ARROW / 3;
+  items.push(path([[[x, y], [x + dx * ARROW - dy * w, y + dy * ARROW + dx * w], [x + dx * ARROW + dy * w, y + dy * ARROW - dx * w]]],
+    { closed: true, width: FINE, fill: 0 }));
+}
+
+// ---- Primitives ----
+
+const path = (rings, { closed = false, width = THIN, dash = null, fill = null, grey = 0 } = {}) =>
+  ({ kind: "path", rings, closed, width, dash, fill, grey });
+const text = (x, y, value, { size = TEXT, anchor = "start", angle = 0 } = {}) =>
+  ({ kind: "text", x, y, text: value, size, anchor, angle });
+const rect = (x, y, w, h) => [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+
+function polar(at, radius) {
+  return Array.from({ length: ANGLE_SAMPLES }, (_, i) => {
+    const ang = (i / ANGLE_SAMPLES) * 2 * Math.PI, r = radius(ang);
+    return at(r * Math.cos(ang), r * Math.sin(ang));
+  });
+}
+
+function circle(at, x, y, r) {
+  return Array.from({ length: 48 }, (_, i) => {
+    const ang = (i / 48) * 2 * Math.PI;
+    return at(x + r * Math.cos(ang), y + r * Math.sin(ang));
+  });
+}
+
+// Largest standard scale at which a w × h (mm) object and its padding fit the area.
+function pickScale(w, h, area, pad) {
+  return SCALES.find(s => w * s + pad.w <= area.w && h * s + pad.h <= area.h) ?? SCALES[SCALES.length - 1];
+}
+
+const scaleLabel = s => s >= 1 ? `${s}:1` : `1:${+(1 / s).toFixed(1)}`;
+const sectionLetter = k => String.fromCharCode(65 + k);
+const mm = v => String(Math.round(v * 10) / 10);
+
+function paramValue(key, v) {
+  if (key === "profile") return `${v.length} points`;
+  if (key === "decorMap") return v ? `${v.w} × ${v.h} map` : "none";
+  if (typeof v === "boolean") return v ? "yes" : "no";
+  if (typeof v === "number") return String(+v.toFixed(3));
+  const s = String(v);
+  return s.length > 22 ? s.slice(0, 21) + "…" : s;
+}
+
+// ---- SVG ----
+
+/** The sheet as a standalone SVG document (mm units). */
+export function drawingToSvg({ width, height, items }) {
+  const n = v => +v.toFixed(2);
+  const esc = s => s.replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  const body = items.map(it => {
+    if (it.kind === "text") {
+      const rotate = it.angle ? ` transform="rotate(${-it.angle} ${n(it.x)} ${n(it.y)})"` : "";
+      return `<text x="${n(it.x)}" y="${n(it.y)}" font-size="${it.size}" text-anchor="${it.anchor}"${rotate}>${esc(it.text)}</text>`;
+    }
+    const d = it.rings.map(ring => "M" + ring.map(([x, y]) => `${n(x)} ${n(y)}`).join("L") + (it.closed ? "Z" : "")).join("");
+    const grey = c => `rgb(${Array(3).fill(Math.round(c * 255)).join(",")})`;
+    const fill = it.fill == null ? "none" : grey(it.fill);
+    const dash = it.dash ? ` stroke-dasharray="${it.dash.join(" ")}"` : "";
+    return `<path d="${d}" fill="${fill}" fill-rule="evenodd" stroke="${grey(it.grey)}" stroke-width="${it.width}"${dash}/>`;
+  });
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    `<g font-family="Helvetica, Arial, sans-serif" stroke-linejoin="round">`,
+    ...body,
+    `</g>`,
+    `</svg>`
+  ].join("\n") + "\n";
+}
+
+// ---- PDF ----
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126, for anchored text.
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+// The few non-ASCII characters the sheet uses, as WinAnsi codes and widths.
+const WIN_ANSI = {
+  "°": [0xb0, 400], "×": [0xd7, 584], "Ø": [0xd8, 778], "²": [0xb2, 333], "³": [0xb3, 333],
+  "–": [0x96, 556], "…": [0x85, 1000], "·": [0xb7, 278], "±": [0xb1, 584]
+};
+
+function winAnsi(s) {
+  const codes = [];
+  let width = 0;
+  for (const ch of s) {
+    const c = ch.codePointAt(0);
+    if (c >= 32 && c < 127) { codes.push(c); width += HELVETICA[c - 32]; }
+    else if (WIN_ANSI[ch]) { codes.push(WIN_ANSI[ch][0]); width += WIN_ANSI[ch][1]; }
+    else { codes.push(63); width += 556; }   // "?"
+  }
+  return { hex: codes.map(c => c.toString(16).padStart(2, "0")).join(""), width: width / 1000 };
+}
+
+/** The sheet as a one-page PDF (Helvetica, vector paths), as bytes. */
+export function drawingToPdf({ width, height, items }) {
+  const k = 72 / 25.4;
+  const n = v => +v.toFixed(3);
+  // Sheet mm with y down, flipped once for the whole page
+  const ops = [`${n(k)} 0 0 ${n(-k)} 0 ${n(height * k)} cm`, "1 J 1 j"];
+  for (const it of items) {
+    if (it.kind === "text") {
+      const { hex, width: em } = winAnsi(it.text);
+      const shift = it.anchor === "middle" ? em * it.size / 2 : it.anchor === "end" ? em * it.size : 0;
+      const rad = (it.angle * Math.PI) / 180, cos = Math.cos(rad), sin = Math.sin(rad);
+      const x = it.x - shift * cos, y = it.y + shift * sin;
+      ops.push(`BT /F1 1 Tf ${n(it.size * cos)} ${n(-it.size * sin)} ${n(-it.size * sin)} ${n(-it.size * cos)} ${n(x)} ${n(y)} Tm <${hex}> Tj ET`);
+      continue;
+    }
+    ops.push(`${it.width} w ${it.grey} G [${(it.dash ?? []).join(" ")}] 0 d`);
+    if (it.fill != null) ops.push(`${it.fill} g`);
+    for (const ring of it.rings) {
+      ops.push(ring.map(([x, y], i) => `${n(x)} ${n(y)} ${i ? "l" : "m"}`).join(" ") + (it.closed ? " h" : ""));
+    }
+    ops.push(it.fill != null ? "B*" : "S");
+  }
+  const content = ops.join("\n");
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(width * k)} ${n(height * k)}] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    `<< /Title (Organic lamp drawing) /Producer (Organic Lamp Designer) >>`
+  ];
+  let out = "%PDF-1.4\n";
+  const offsets = objects.map((obj, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("") +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new TextEncoder().encode(out);
+}
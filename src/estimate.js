@@ -0,0 +1,124 @@
+// src/estimate.js
+// Live weight, cost and print-time estimate for the sidebar. The geometry is
+// measured in the worker with each preview; the estimate itself is cheap,
+// so filament and print settings update it without a rebuild.
+import { getFilament } from "./filaments.js";
+import { perforationLayout } from "./perforations.js";
+import { outerRadiusAt, segmentsFor } from "./geometry.js";
+import { fittingHoleR } from "./fittings.js";
+import { isSconce } from "./sconce.js";
+
+const FIRST_LAYER_SCALE = 0.5;   // as in gcode.js
+
+/**
+ * Measures of the preview's own geometry: `surface` from buildSurface (the
+ * outer wall) and the conforming `cap`, which sits inside the wall.
+ * Returns, in mm² / mm³:
+ *  wallArea    ∫ r dφ dz: the wall as seen from the axis. The inner wall is
+ *              offset radially (innerRadiusAt), so this × wallFixed is the
+ *              wall's volume however deep the folds are.
+ *  spiralArea  ∫ perimeter dz: the vase-mode spiral's length × layer height
+ *  holeArea    perforations
+ *  capVolume   the cap is a closed solid: signed tetrahedron sum
+ *  solidVolume when `solids` (the print parts) are given: their own volume,
+ *              for walls that are not a plain offset (a sconce's flat back)
+ */
+export function measurePrint(p, surface, cap, { capH = 5, solids = null } = {}) {
+  let wallArea = 0, spiralArea = 0;
+  forEachTriangle(surface, (pos, a, b, c) => {
+    const ux = pos[b] - pos[a], uy = pos[b + 1] - pos[a + 1], uz = pos[b + 2] - pos[a + 2];
+    const vx = pos[c] - pos[a], vy = pos[c + 1] - pos[a + 1], vz = pos[c + 2] - pos[a + 2];
+    // Cross product = normal × 2 area
+    const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz;
+    const cx = pos[a] + pos[b] + pos[c], cy = pos[a + 1] + pos[b + 1] + pos[c + 1];
+    wallArea += Math.abs(nx * cx + ny * cy) / Math.hypot(cx, cy) / 2;
+    spiralArea += Math.hypot(nx, ny) / 2;
+  });
+  return {
+    wallArea,
+    spiralArea,
+    holeArea: perforationLayout(p, { capH })
+      .reduce((sum, row) => sum + polygonArea(row.outline) * row.angles.length, 0),
+    capVolume: cap ? Math.abs(signedVolume(cap)) : 0,
+    solidVolume: solids ? solids.reduce((sum, geo) => sum + Math.abs(signedVolume(geo)), 0) : null
+  };
+}
+
+/**
+ * { volumeCm3, grams, cost, seconds } for measurePrint's result at the
+ * current wallFixed and filament: ∫ (r t − t²/2) dφ dz for the wall, less
+ * the perforations, plus the cap (or the measured solidVolume). Time is
+ * for vase mode at the gcode* settings: the cap's loops as gcodeSteps lays
+ * them, then the spiral (travel and acceleration ignored); null for a
+ * sconce, which vase mode cannot print.
+ */
+export function printEstimate(p, { wallArea, spiralArea, holeArea, capVolume, solidVolume = null }, { capH = 5 } = {}) {
+  const filament = getFilament(p);
+  const t = p.wallFixed;
+  const wall = Math.max(0, (wallArea - holeArea) * t - Math.PI * t * t * p.height);
+  const volumeCm3 = (solidVolume ?? wall + capVolume) / 1000;
+  const grams = volumeCm3 * filament.density;
+  if (isSconce(p)) return { volumeCm3, grams, cost: (grams / 1000) * filament.pricePerKg, seconds: null };
+
+  const capLayers = Math.max(1, Math.round(capH / p.gcodeLayerH));
+  const capPath = capLayerPath(p, capH);
+  const seconds = (spiralArea / p.gcodeLayerH + capPath * (capLayers - 1 + 1 / FIRST_LAYER_SCALE)) / p.gcodeSpeed;
+  return {
+    volumeCm3,
+    grams,
+    cost: (grams / 1000) * filament.pricePerKg,
+    seconds
+  };
+}
+
+// One cap layer's path at mid-cap, as gcodeSteps lays it: hole loop, rings
+// sharing each angle's gap between hole and wall, wall loop.
+function capLayerPath(p, capH) {
+  const n = segmentsFor(p.res).radialSeg;
+  const lw = p.gcodeLineWidth;
+  const v = p.mount === "standing" ? capH / 2 / p.height : 1 - capH / 2 / p.height;
+  const holeLine = fittingHoleR(p) + lw / 2;
+  const angles = Array.from({ length: n }, (_, i) => (i / n) * 2 * Math.PI);
+  const wallLine = angles.map(ang => outerRadiusAt(p, v, ang) - lw / 2);
+  const gaps = wallLine.map(r => Math.max(0, r - lw - holeLine));
+  const rings = Math.ceil(Math.max(...gaps) / lw);
+
+  const loopLength = radius => {
+    let len = 0;
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      len += Math.hypot(radius(j) * Math.cos(angles[j]) - radius(i) * Math.cos(angles[i]),
+        radius(j) * Math.sin(angles[j]) - radius(i) * Math.sin(angles[i]));
+    }
+    return len;
+  };
+  let len = 2 * Math.PI * holeLine + loopLength(i => wallLine[i]);
+  for (let k = 0; k < rings; k++) len += loopLength(i => holeLine + lw / 2 + gaps[i] * (k + 0.5) / rings);
+  return len;
+}
+
+// Triangles of a BufferGeometry, indexed or not, as position offsets.
+function forEachTriangle(geo, fn) {
+  const pos = geo.attributes.position.array;
+  const idx = geo.index?.array;
+  const count = idx ? idx.length : pos.length / 3;
+  for (let i = 0; i < count; i += 3) {
+    fn(pos, idx ? idx[i] * 3 : i * 3, idx ? idx[i + 1] * 3 : (i + 1) * 3, idx ? idx[i + 2] * 3 : (i + 2) * 3);
+  }
+}
+
+function signedVolume(geo) {
+  let v = 0;
+  forEachTriangle(geo, (pos, a, b, c) => {
+    v += pos[a] * (pos[b + 1] * pos[c + 2] - pos[b + 2] * pos[c + 1])
+       - pos[a + 1] * (pos[b] * pos[c + 2] - pos[b + 2] * pos[c])
+       + pos[a + 2] * (pos[b] * pos[c + 1] - pos[b + 1] * pos[c]);
+  });
+  return v / 6;
+}
+
+function polygonArea(pts) {
+  let sum = 0;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) sum += pts[j][0] * pts[i][1] - pts[i][0] * pts[j][1];
+  return Math.abs(sum) / 2;
+}
@@ -0,0 +1,83 @@
+// src/filaments.js
+// Filament library: the preview material, the weight and cost estimate and
+// the lit room's wall transmission all come from the selected entry.
+
+/**
+ * Typical values; check the spool's data sheet and your own price.
+ *
+ *  brand, name   shown in the picker
+ *  type          material family ("PLA", "PETG", …)
+ *  color         sRGB hex
+ *  look          "gloss" | "matte" | "silk" | "translucent" (preview surface)
+ *  density       g/cm³
+ *  pricePerKg    per kg spool, in whatever currency you shop in
+ *  transmission  share of light a thin printed wall lets through at normal incidence
+ *  tg            glass transition (°C): where the wall starts to soften (thermal.js)
+ */
+export const FILAMENTS = {
+  generic_pla_white: {
+    brand: "Generic", name: "PLA White", type: "PLA",
+    color: "#f5f7fb", look: "gloss", density: 1.24, pricePerKg: 20, transmission: 0.15, tg: 60
+  },
+  generic_pla_natural: {
+    brand: "Generic", name: "PLA Natural", type: "PLA",
+    color: "#fbfaf4", look: "translucent", density: 1.24, pricePerKg: 20, transmission: 0.55, tg: 60
+  },
+  bambu_pla_matte_ivory: {
+    brand: "Bambu Lab", name: "PLA Matte Ivory White", type: "PLA",
+    color: "#fffff0", look: "matte", density: 1.32, pricePerKg: 25, transmission: 0.1, tg: 60
+  },
+  esun_pla_plus_warm_white: {
+    brand: "eSUN", name: "PLA+ Warm White", type: "PLA",
+    color: "#f3ead8", look: "gloss", density: 1.23, pricePerKg: 22, transmission: 0.18, tg: 60
+  },
+  prusament_petg_clear: {
+    brand: "Prusament", name: "PETG Clear", type: "PETG",
+    color: "#f4f8fa", look: "translucent", density: 1.27, pricePerKg: 30, transmission: 0.75, tg: 80
+  },
+  polymaker_silk_bronze: {
+    brand: "Polymaker", name: "PolyLite Silk PLA Bronze", type: "PLA",
+    color: "#8c6a3f", look: "silk", density: 1.24, pricePerKg: 26, transmission: 0, tg: 60
+  },
+  polymaker_silk_silver: {
+    brand: "Polymaker", name: "PolyLite Silk PLA Silver", type: "PLA",
+    color: "#cfd3d8", look: "silk", density: 1.24, pricePerKg: 26, transmission: 0, tg: 60
+  },
+  polymaker_silk_gold: {
+    brand: "Polymaker", name: "PolyLite Silk PLA Gold", type: "PLA",
+    color: "#d4af37", look: "silk", density: 1.24, pricePerKg: 26, transmission: 0, tg: 60
+  },
+  custom: {
+    brand: "", name: "Custom filament", type: "PLA",
+    custom: true
+  }
+};
+
+export const FILAMENT_LOOKS = [
+  { value: "gloss", label: "Gloss" },
+  { value: "matte", label: "Matte" },
+  { value: "silk", label: "Silk / metallic" },
+  { value: "translucent", label: "Translucent" }
+];
+
+/** Label for pickers: "Brand Name". */
+export function filamentLabel(f) {
+  return f.brand ? `${f.brand} ${f.name}` : f.name;
+}
+
+/** Resolved entry for `p.filament`; "custom" reads the customFilament* params. */
+export function getFilament(p) {
+  const base = FILAMENTS[p.filament] ?? FILAMENTS.generic_pla_white;
+  if (!base.custom) return base;
+  return {
+    brand: base.brand,
+    name: base.name,
+    type: base.type,
+    color: p.customFilamentColor,
+    look: p.customFilamentLook,
+    density: p.customFilamentDensity,
+    pricePerKg: p.customFilamentPrice,
+    transmission: p.customFilamentTransmission,
+    tg: p.customFilamentTg
+  };
+}
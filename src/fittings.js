@@ -0,0 +1,200 @@
+// src/fittings.js
+// Lamp-fitting catalogue: the cap cut-out, the preview socket/bulb and the
+// optional printed retaining ring all come from the selected entry.
+import * as THREE from "three";
+
+/**
+ * Dimensions in mm. Check them against your own hardware before printing;
+ * holders of the same standard differ by a few tenths.
+ *
+ *  holeD      nominal diameter through the cap (thread or body)
+ *  clearance  added to holeD for the cut-out and the ring bore (print tolerance)
+ *  socket     d, length; `above` = how far its top stands above the cap top
+ *             (negative: the socket hangs below the cap on its cable)
+ *  bulb       d, length, shape ("globe" | "candle" | "reflector"); type and
+ *             watts (thermal.js BULB_TYPES) are the bulb picked with the fitting
+ *  maxWatts   the holder's rating
+ *  ring       retaining part: "thread" (pitch) or "bayonet" (pins), outerD, height
+ */
+export const FITTINGS = {
+  e27: {
+    label: "E27 shade-ring holder",
+    holeD: 40, clearance: 0.6,
+    socket: { d: 40, length: 57, above: 12 },
+    bulb: { d: 60, length: 108, shape: "globe", type: "led", watts: 9 },
+    maxWatts: 60,
+    ring: { type: "thread", outerD: 56, height: 6, pitch: 2.0 }
+  },
+  e14: {
+    label: "E14 shade-ring holder",
+    holeD: 28, clearance: 0.5,
+    socket: { d: 28, length: 45, above: 10 },
+    bulb: { d: 35, length: 98, shape: "candle", type: "led", watts: 5 },
+    maxWatts: 40,
+    ring: { type: "thread", outerD: 40, height: 5, pitch: 1.5 }
+  },
+  b22: {
+    label: "B22 bayonet holder",
+    holeD: 36, clearance: 0.6,
+    socket: { d: 35, length: 52, above: 12 },
+    bulb: { d: 60, length: 104, shape: "globe", type: "led", watts: 9 },
+    maxWatts: 60,
+    ring: { type: "bayonet", outerD: 50, height: 8, pins: 2 }
+  },
+  gu10: {
+    label: "GU10 twist-lock holder",
+    holeD: 35, clearance: 0.4,
+    socket: { d: 33, length: 30, above: 5 },
+    bulb: { d: 50, length: 55, shape: "reflector", type: "led", watts: 5 },
+    maxWatts: 50,
+    ring: { type: "bayonet", outerD: 46, height: 6, pins: 2 }
+  },
+  cordgrip: {
+    label: "Ceiling cord grip (M10 × 1)",
+    holeD: 10, clearance: 0.5,
+    socket: { d: 40, length: 57, above: -60 },
+    bulb: { d: 60, length: 108, shape: "globe", type: "led", watts: 9 },
+    maxWatts: 60,
+    ring: { type: "thread", outerD: 18, height: 6, pitch: 1.0 }
+  }
+};
+
+const TAU = Math.PI * 2;
+const RING_SEG = 128;         // columns around the ring
+const THREAD_ROWS = 8;        // section points per thread pitch
+const BAYONET_SLOT_W = 3.5;   // mm, pin slot width
+const BAYONET_DEPTH = 2.5;    // mm, pin slot depth into the collar wall
+const BAYONET_DROP = 0.6;     // pin slot length down from the top, × ring height
+const BAYONET_TURN = 25;      // degrees the collar turns to lock
+const CREASE_GAP = 1e-5;      // rad between the twin columns at a slot side, as in printbody.js
+
+/** Selected fitting, falling back to E27. */
+export function getFitting(p) {
+  return FITTINGS[p.fitting] ?? FITTINGS.e27;
+}
+
+/** Radius of the cap cut-out for the selected fitting. */
+export function fittingHoleR(p) {
+  const f = getFitting(p);
+  return (f.holeD + f.clearance) / 2;
+}
+
+/**
+ * Where the holder and bulb sit for the mount: { socketTopZ, baseZ, dir,
+ * centreZ, tipZ } (mm). Hanging: socket top `above` the cap, bulb pointing
+ * down (dir -1); standing: socket on the floor, bulb pointing up (dir 1).
+ * centreZ is the middle of the bulb's widest part, where the light sits.
+ */
+export function bulbPlacement(p) {
+  const { socket, bulb } = getFitting(p);
+  const standing = p.mount === "standing";
+  const socketTopZ = standing ? socket.length : p.height + socket.above;
+  const baseZ = standing ? socket.length : socketTopZ - socket.length;
+  const dir = standing ? 1 : -1;
+  return { socketTopZ, baseZ, dir, centreZ: baseZ + dir * (bulb.length - bulb.d / 2), tipZ: baseZ + dir * bulb.length };
+}
+
+/**
+ * Printed retaining ring as a step generator (like conformingCapSteps): a
+ * closed solid swept around the axis from one (r, z) section per column,
+ * its bore following the thread of "thread" rings or stepping out into the
+ * L-shaped pin slots of "bayonet" collars. Built at the origin, flat on Z = 0.
+ */
+export function* fittingRingSteps(p) {
+  const f = getFitting(p);
+  yield { label: "Fitting ring", done: 0, total: 1 };
+  const { outerD, height } = f.ring;
+  const bore = f.ring.type === "thread" ? threadBore(f) : bayonetBore(f);
+  return sweepRing(bore.angles, bore.angles.map(ang => [[outerD / 2, 0], [outerD / 2, height], ...bore.section(ang)]));
+}
+
+const threadDepth = f => 0.6 * f.ring.pitch;
+const ringAngles = () => Array.from({ length: RING_SEG }, (_, i) => (i / RING_SEG) * TAU);
+
+// Threaded bore, top down: a single-start thread groove (triangular
+// profile) from the minor diameter out to the holder's own.
+function threadBore(f) {
+  const { height: h, pitch } = f.ring;
+  const boreR = (f.holeD + f.clearance) / 2, depth = threadDepth(f);
+  const rows = Math.ceil((h / pitch) * THREAD_ROWS);
+  return {
+    angles: ringAngles(),
+    section: ang => Array.from({ length: rows + 1 }, (_, j) => {
+      const z = h * (1 - j / rows);
+      const phase = ((z / pitch - ang / TAU) % 1 + 1) % 1;
+      return [boreR - depth * Math.abs(2 * phase - 1), z];
+    })
+  };
+}
+
+/**
+ * Bayonet bore, top down: round, with an L-shaped pocket per pin, down from
+ * the top face and then a BAYONET_TURN twist along the bottom. Every section
+ * has the same six points (some coinciding), so slotted and plain columns
+ * stitch together; twin columns CREASE_GAP apart square off the pocket sides.
+ */
+function bayonetBore(f) {
+  const { height: h, pins } = f.ring;
+  const boreR = (f.holeD + f.clearance) / 2, slotR = boreR + BAYONET_DEPTH;
+  const zLock = h * (1 - BAYONET_DROP), zTurn = zLock + BAYONET_SLOT_W;
+  const half = BAYONET_SLOT_W / 2 / boreR, turn = THREE.MathUtils.degToRad(BAYONET_TURN);
+  const norm = ang => ((ang % TAU) + TAU) % TAU;
+  const pinAngles = Array.from({ length: pins }, (_, k) => (k / pins) * TAU);
+  // Within a slot: from half its width before a pin to `to` past it
+  const inSlot = (ang, to) => pinAngles.some(a => norm(ang - a + half) < to + half);
+
+  const edges = pinAngles.flatMap(a => [a - half, a + half, a + turn + half]).map(norm);
+  const clear = (TAU / RING_SEG) / 4;
+  const angles = [
+    ...ringAngles().filter(ang => edges.every(e => Math.abs(norm(ang - e + Math.PI) - Math.PI) > clear)),
+    ...edges.flatMap(e => [norm(e - CREASE_GAP), e])
+  ].sort((a, b) => a - b);
+
+  return {
+    angles,
+    section: ang => {
+      // Twin columns sit either side of an edge; half the gap puts each on its own side
+      const at = ang + CREASE_GAP / 2;
+      const top = inSlot(at, half) ? slotR : boreR;
+      const mid = inSlot(at, turn + half) ? slotR : boreR;
+      return [[top, h], [top, zTurn], [mid, zTurn], [mid, zLock], [boreR, zLock], [boreR, 0]];
+    }
+  };
+}
+
+// Closed, indexed solid from one (r, z) section per column angle, each
+// stitched to the next (wrapping round). Coinciding points of a section
+// share a vertex and the triangles they flatten are dropped.
+function sweepRing(angles, sections) {
+  const positions = [];
+  const columns = sections.map((section, c) => {
+    const ca = Math.cos(angles[c]), sa = Math.sin(angles[c]);
+    const seen = new Map();
+    return section.map(([r, z]) => {
+      const key = r + "," + z;
+      if (!seen.has(key)) {
+        seen.set(key, positions.length / 3);
+        positions.push(r * ca, r * sa, z);
+      }
+      return seen.get(key);
+    });
+  });
+
+  const index = [];
+  const tri = (a, b, c) => { if (a !== b && b !== c && a !== c) index.push(a, b, c); };
+  const K = sections[0].length;
+  for (let c = 0; c < columns.length; c++) {
+    const A = columns[c], B = columns[(c + 1) % columns.length];
+    for (let i = 0; i < K; i++) {
+      const i2 = (i + 1) % K;
+      tri(A[i], B[i], A[i2]);
+      tri(B[i], B[i2], A[i2]);
+    }
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geo.setIndex(index);
+  geo.computeVertexNormals();
+  return geo;
+}
@@ -0,0 +1,223 @@
+// src/gcode.js
+// Vase-mode G-code straight from the analytic surface (no mesh, no slicer).
+import { outerRadiusAt, segmentsFor, runSteps } from "./geometry.js";
+import { getPrinter } from "./printers.js";
+import { fittingHoleR, getFitting } from "./fittings.js";
+import { partBounds } from "./printbody.js";
+import { hasPerforations } from "./perforations.js";
+import { getFilament, filamentLabel } from "./filaments.js";
+import { hasCapVents } from "./thermal.js";
+import { isSconce } from "./sconce.js";
+
+export const DEFAULT_START_GCODE = `M140 S{bedTemp}
+M104 S{nozzleTemp}
+G28
+M190 S{bedTemp}
+M109 S{nozzleTemp}
+G90
+M83
+G1 Z0.3 F3000
+G1 X5 Y5 F6000
+G1 X60 E9 F1000 ; purge line`;
+
+export const DEFAULT_END_GCODE = `M104 S0
+M140 S0
+M107
+G91
+G1 Z10 F600
+G90
+G1 X0 Y{buildY} F3000
+M84`;
+
+const TRAVEL_SPEED = 150;      // mm/s
+const RETRACT_MM = 0.8;
+const RETRACT_SPEED = 35;      // mm/s
+const FIRST_LAYER_SCALE = 0.5; // first cap layer speed factor
+
+/** `{key}` placeholders in a start/end template. */
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (m, key) => key in values ? String(values[key]) : m);
+}
+
+/** Vase-mode G-code for `p`: { text, seconds, filamentMm, grams }; see gcodeSteps. */
+export function buildGcode(p, options) {
+  return runSteps(gcodeSteps(p, options));
+}
+
+/**
+ * Vase-mode print, always cap-first on the bed: standing lamps print upright,
+ * hanging lamps upside down (their top cap becomes the base). The cap is
+ * solid: hole perimeter, concentric fill, then the wall line; after that one
+ * continuous spiral climbs the wall, one line wide, its outer edge on
+ * outerRadiusAt (wallFixed only applies to the STL). The last lap levels off
+ * while the flow tapers to zero.
+ *
+ * Segmented (printbody.js), perforated and cap-vented lamps are not
+ * supported: spigots and holes need a slicer.
+ *
+ * Settings come from the gcode* params. Yields progress steps like
+ * conformingCapSteps; returns { text, seconds, filamentMm, grams }, with the
+ * same estimates and `appVersion` written into the header of `text`.
+ */
+export function* gcodeSteps(p, { capH = 5, holeR = fittingHoleR(p), appVersion = "cli" } = {}) {
+  if (partBounds(p).length > 1) throw new Error("Vase-mode G-code covers one-piece lamps only; slice the segment STLs instead.");
+  if (hasPerforations(p)) throw new Error("Vase mode cannot print perforations; slice the STL instead.");
+  if (hasCapVents(p)) throw new Error("Vase mode cannot print cap vents; slice the STL instead.");
+  if (isSconce(p)) throw new Error("Vase mode cannot print a sconce's back plate and keyholes; slice the STL instead.");
+  const lh = p.gcodeLayerH;
+  const lw = p.gcodeLineWidth;
+  const speed = p.gcodeSpeed;
+  const printer = getPrinter(p);
+  const cx = printer.build.x / 2, cy = printer.build.y / 2;
+  const n = segmentsFor(p.res).radialSeg;
+  const flipped = p.mount !== "standing";
+  const vAt = z => Math.min(1, Math.max(0, flipped ? 1 - z / p.height : z / p.height));
+  const filamentArea = Math.PI * (p.gcodeFilament / 2) ** 2;
+
+  const capLayers = Math.max(1, Math.round(capH / lh));
+  const spiralStart = capLayers * lh;
+  const laps = Math.max(1, Math.round((p.height - spiralStart) / lh));
+  const total = capLayers + laps + 1;
+
+  const out = [];
+  const state = { x: cx, y: cy, z: 0, e: 0, time: 0, retracted: false };
+
+  // Bead cross-section (rounded rectangle, as slicers model it) → filament mm
+  const extrusion = (len, w, h) =>
+    len * (w > h ? (w - h) * h + Math.PI * (h / 2) ** 2 : w * h) / filamentArea;
+
+  const fmt = v => +v.toFixed(3);
+  function move(x, y, z, e, mmPerS) {
+    const len = Math.hypot(x - state.x, y - state.y, z - state.z);
+    let line = `G1 X${fmt(x)} Y${fmt(y)}`;
+    if (z !== state.z) line += ` Z${fmt(z)}`;
+    if (e > 0) line += ` E${e.toFixed(5)}`;
+    out.push(`${line} F${Math.round(mmPerS * 60)}`);
+    Object.assign(state, { x, y, z });
+    state.e += e;
+    state.time += len / mmPerS;
+  }
+  function retract(on) {
+    if (state.retracted === on) return;
+    out.push(`G1 E${on ? -RETRACT_MM : RETRACT_MM} F${RETRACT_SPEED * 60}`);
+    state.retracted = on;
+    state.time += RETRACT_MM / RETRACT_SPEED;
+  }
+  function travel(x, y, z) {
+    retract(true);
+    move(x, y, z, 0, TRAVEL_SPEED);
+    retract(false);
+  }
+  const at = (r, ang) => [cx + r * Math.cos(ang), cy + r * Math.sin(ang)];
+
+  // Closed loop, radius and bead width per angle. A `radial` width is measured
+  // along the radius (fill rings): across folds the bead gets narrower, so
+  // each segment deposits radial width × arc length and the fill stays solid
+  // without piling up in the folds.
+  function loop(z, radius, width, h, mmPerS, radial = false) {
+    const dAng = 2 * Math.PI / n;
+    const pts = Array.from({ length: n + 1 }, (_, i) => {
+      const ang = (i % n) * dAng, r = radius(ang);
+      return [...at(r, ang), r, width(ang)];
+    });
+    travel(pts[0][0], pts[0][1], z);
+    for (let i = 1; i <= n; i++) {
+      const [x, y, r, w] = pts[i];
+      const len = Math.hypot(x - state.x, y - state.y);
+      let bead = (w + pts[i - 1][3]) / 2;
+      if (radial && len > 0) bead *= Math.min(1, (r + pts[i - 1][2]) / 2 * dAng / len);
+      move(x, y, z, extrusion(len, bead, h), mmPerS);
+    }
+  }
+
+  // ---- Cap: hole perimeter, concentric fill, wall line ----
+  const holeLine = holeR + lw / 2;
+  for (let layer = 0; layer < capLayers; layer++) {
+    yield { label: "G-code: cap", done: layer, total };
+    const z = (layer + 1) * lh;
+    const v = vAt(z - lh / 2);
+    const mmPerS = layer === 0 ? speed * FIRST_LAYER_SCALE : speed;
+    const wallLine = ang => outerRadiusAt(p, v, ang) - lw / 2;
+    const gap = ang => wallLine(ang) - lw / 2 - (holeLine + lw / 2);
+
+    let widest = 0;
+    for (let i = 0; i < n; i++) {
+      const g = gap(i / n * 2 * Math.PI);
+      if (g <= 0) throw new Error(`The lamp is too narrow at the cap for the ${getFitting(p).label} hole.`);
+      widest = Math.max(widest, g);
+    }
+    // Rings share each angle's gap evenly, so the fill is solid everywhere
+    const rings = Math.ceil(widest / lw);
+
+    loop(z, () => holeLine, () => lw, lh, mmPerS);
+    for (let k = 0; k < rings; k++) {
+      loop(z, ang => holeLine + lw / 2 + gap(ang) * (k + 0.5) / rings, ang => gap(ang) / rings, lh, mmPerS, true);
+    }
+    loop(z, wallLine, () => lw, lh, mmPerS);
+    if (layer === 0) out.push("M106 S255");
+  }
+
+  // ---- Spiral wall: z rises one layer per lap, last lap flat with tapering flow ----
+  const top = spiralStart + laps * lh;
+  for (let lap = 0; lap <= laps; lap++) {
+    yield { label: "G-code: spiral", done: capLayers + lap, total };
+    for (let i = 1; i <= n; i++) {
+      const t = lap + i / n;
+      const z = Math.min(top, spiralStart + t * lh);
+      const h = lap === laps ? lh * (1 - i / n) : Math.min(lh, t * lh);
+      const ang = (i % n) / n * 2 * Math.PI;
+      const [x, y] = at(outerRadiusAt(p, vAt(z), ang) - lw / 2, ang);
+      move(x, y, z, extrusion(Math.hypot(x - state.x, y - state.y, z - state.z), lw, h), speed);
+    }
+  }
+
+  const stats = {
+    seconds: state.time,
+    filamentMm: state.e,
+    grams: state.e * Math.PI * (p.gcodeFilament / 2) ** 2 / 1000 * getFilament(p).density
+  };
+  const text = header(p, printer, stats, capLayers, laps, appVersion) +
+    fillTemplate(p.gcodeStart, templateValues(p, printer)) + "\n" +
+    "G90\nM83\nG92 E0\n" +
+    out.join("\n") + "\n" +
+    fillTemplate(p.gcodeEnd, templateValues(p, printer)) + "\n";
+  return { text, ...stats };
+}
+
+function templateValues(p, printer) {
+  return {
+    nozzleTemp: p.gcodeNozzleTemp,
+    bedTemp: p.gcodeBedTemp,
+    buildX: printer.build.x,
+    buildY: printer.build.y,
+    buildZ: printer.build.z,
+    printer: printer.label,
+    height: p.height
+  };
+}
+
+export function formatDuration(s) {
+  const h = Math.floor(s / 3600), m = Math.floor(s % 3600 / 60);
+  return `${h}h ${m}m ${Math.round(s % 60)}s`;
+}
+
+function header(p, printer, { seconds, filamentMm, grams }, capLayers, laps, appVersion) {
+  const filament = getFilament(p);
+  const lines = [
+    "; Organic Lamp vase-mode G-code",
+    `; app version: ${appVersion}`,
+    `; printer: ${printer.label}, ${printer.build.x}×${printer.build.y}×${printer.build.z} mm`,
+    `; mount: ${p.mount}${p.mount === "standing" ? "" : " (printed upside down, cap on the bed)"}`,
+    `; layer height = ${p.gcodeLayerH}`,
+    `; line width = ${p.gcodeLineWidth}`,
+    `; temperatures: nozzle ${p.gcodeNozzleTemp} °C, bed ${p.gcodeBedTemp} °C`,
+    `; print speed = ${p.gcodeSpeed} mm/s`,
+    `; layers: ${capLayers} cap + ${laps} spiral`,
+    `; estimated printing time (normal mode) = ${formatDuration(seconds)}`,
+    `; filament used [mm] = ${filamentMm.toFixed(1)}`,
+    `; filament used [g] = ${grams.toFixed(1)} (${filamentLabel(filament)}, ${filament.density} g/cm³)`,
+    `; filament cost = ${(grams / 1000 * filament.pricePerKg).toFixed(2)}`
+  ];
+  if (p.mount === "standing") lines.push("; note: the cable slot is not cut in vase mode; drill or cut it after printing");
+  return lines.join("\n") + "\n\n";
+}
@@ -1,46 +1,62 @@
 import * as THREE from "three";
+import { patternFactor } from "./patterns.js";
+import { silhouetteFactor } from "./profile.js";
+import { decorationOffset } from "./decoration.js";
 
-export function baseRadius(t, R0, R1) {
-  const belly = 1 + 0.18 * (1 - Math.pow(Math.abs(2*t-1), 1.4));
-  return THREE.MathUtils.lerp(R0, R1, t) * belly;
+// Silhouette radius at height fraction t (profile curve in profile.js).
+export function baseRadius(p, t) {
+  return p.rbase * silhouetteFactor(p, t);
+}
+
+/** Run a step generator (see conformingCapSteps) to completion, synchronously. */
+export function runSteps(gen) {
+  let r = gen.next();
+  while (!r.done) r = gen.next();
+  return r.value;
+}
+
+export function segmentsFor(res) {
+  return {
+    radialSeg: res==="low" ? 96 : (res==="med" ? 180 : 300),
+    heightSeg: res==="low" ? 120 : (res==="med" ? 220 : 360)
+  };
+}
+
+// Single source of the wall radius: silhouette × surface pattern (patterns.js),
+// plus the decoration's relief (decoration.js).
+export function outerRadiusAt(p, v, ang) {
+  return baseRadius(p, v) * patternFactor(p, v, ang) + decorationOffset(p, v, ang);
 }
 
 export function innerRadiusAt(p, v, ang) {
-  const R0 = p.rbase;
-  const R1 = R0 * p.topscale;
-  const br = baseRadius(v, R0, R1);
-  const twist = THREE.MathUtils.degToRad(p.twist);
-  const phase = twist * v;
-  let rOuter;
-  if (p.ripdir === "vertical") {
-    rOuter = br * (1 + p.amp * Math.sin(p.waves * ang + phase));
-  } else {
-    rOuter = br * (1 + p.amp * Math.sin((p.waves * 2 * Math.PI) * v + 1.5 * ang));
+  return Math.max(1, outerRadiusAt(p, v, ang) - p.wallFixed);
+}
+
+/** Widest distance from the Z axis, sampled on the same grid as buildSurface. */
+export function maxOuterRadius(p) {
+  const { radialSeg, heightSeg } = segmentsFor(p.res);
+  const EPS = 1e-4;
+  let m = 0;
+  for (let j=0;j<=heightSeg;j++){
+    for (let i=0;i<radialSeg;i++){
+      m = Math.max(m, outerRadiusAt(p, j/heightSeg, (i/radialSeg)*2*Math.PI + EPS));
+    }
   }
-  return Math.max(1, rOuter - p.wallFixed);
+  return m;
 }
 
 export function buildSurface(p) {
-  const radialSeg = p.res==="low" ? 96 : (p.res==="med" ? 180 : 300);
-  const heightSeg = p.res==="low" ? 120 : (p.res==="med" ? 220 : 360);
+  const { radialSeg, heightSeg } = segmentsFor(p.res);
   const H = p.height;
-  const R0 = p.rbase;
-  const R1 = R0 * p.topscale;
-  const waves = p.waves;
-  const amp = p.amp;
-  const twist = THREE.MathUtils.degToRad(p.twist);
   const EPS = 1e-4;
 
   const verts = new Float32Array((radialSeg)*(heightSeg+1)*3);
   let k=0;
   for (let j=0;j<=heightSeg;j++){
-    const v=j/heightSeg, z=H*v, phase=twist*v;
+    const v=j/heightSeg, z=H*v;
     for (let i=0;i<radialSeg;i++){
       const u=i/radialSeg, ang=u*2*Math.PI + EPS;
-      const br=baseRadius(v,R0,R1);
-      const r = (p.ripdir==="vertical")
-        ? br*(1+amp*Math.sin(waves*ang+phase))
-        : br*(1+amp*Math.sin((waves*2*Math.PI)*v + 1.5*ang));
+      const r=outerRadiusAt(p,v,ang);
       verts[k++]=r*Math.cos(ang); verts[k++]=r*Math.sin(ang); verts[k++]=z;
     }
   }
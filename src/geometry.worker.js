@@ -0,0 +1,22 @@
+// src/geometry.worker.js
+// Classic worker bootstrap. Module workers can't see the page's import map
+// ("three", "three/addons/"), so load es-module-shims in shim mode, install
+// the map the page sends with "init", then hand every message to jobs.js.
+// The shim is vendored (vendor/, MIT licence) rather than loaded from a CDN.
+self.esmsInitOptions = { shimMode: true };
+importScripts("./vendor/es-module-shims.wasm.js");
+
+let entry = null;   // Promise<jobs module | null>; the page always sends "init" first
+
+self.onmessage = e => {
+  const msg = e.data;
+  if (msg.type === "init") {
+    importShim.addImportMap(msg.importMap);
+    entry = importShim(msg.entry).catch(err => {
+      self.postMessage({ type: "fatal", message: err?.message ?? String(err) });
+      return null;
+    });
+    return;
+  }
+  entry?.then(mod => mod?.handleMessage(msg));
+};
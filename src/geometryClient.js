@@ -0,0 +1,103 @@
+// src/geometryClient.js
+import * as THREE from "three";
+
+/**
+ * Main-thread side of the geometry jobs (jobs.js). Runs them in
+ * geometry.worker.js, or in this thread if the worker can't start (file://
+ * pages, no WebAssembly for es-module-shims…), with the same cancellation.
+ *
+ * request(kind, params, options) → Promise<{ name: BufferGeometry | data } | null>
+ *   resolves null when a newer request of the same kind superseded it.
+ * onProgress({ id, kind, label, done, total }) reports CSG steps.
+ */
+export function createGeometryClient({ onProgress = () => {} } = {}) {
+  const pending = new Map();   // id → { kind, resolve, reject, msg }
+  const newest = {};           // kind → newest id
+  let nextId = 1;
+  let worker = null;
+  let local = null;            // Promise<jobs module> once we fall back
+
+  try {
+    worker = new Worker(new URL("./geometry.worker.js", import.meta.url));
+    worker.onmessage = e => receive(e.data);
+    worker.onerror = () => fallBack();
+    worker.postMessage({
+      type: "init",
+      importMap: pageImportMap(),
+      entry: new URL("./jobs.js", import.meta.url).href
+    });
+  } catch {
+    fallBack();
+  }
+
+  function fallBack() {
+    if (local) return;
+    worker?.terminate();
+    worker = null;
+    local = import("./jobs.js");
+    // Replay whatever the worker never answered
+    for (const job of pending.values()) send(job.msg);
+  }
+
+  function send(msg) {
+    if (worker) worker.postMessage(msg);
+    else local.then(jobs => jobs.runJob(msg, receive));
+  }
+
+  function receive(msg) {
+    if (msg.type === "fatal") { fallBack(); return; }
+    const job = pending.get(msg.id);
+    if (!job) return;
+    switch (msg.type) {
+      case "progress":
+        if (msg.id === newest[msg.kind]) onProgress(msg);
+        break;
+      case "cancelled":
+        pending.delete(msg.id);
+        job.resolve(null);
+        break;
+      case "error":
+        pending.delete(msg.id);
+        job.reject(new Error(msg.message));
+        break;
+      case "result":
+        pending.delete(msg.id);
+        job.resolve(msg.id === newest[msg.kind] ? { ...msg.data, ...unpack(msg.geometries) } : null);
+        break;
+    }
+  }
+
+  function request(kind, params, options = {}) {
+    const id = nextId++;
+    newest[kind] = id;
+    const msg = { type: "build", id, kind, params: structuredClone(params), options };
+    return new Promise((resolve, reject) => {
+      pending.set(id, { kind, resolve, reject, msg });
+      send(msg);
+    });
+  }
+
+  return { request };
+}
+
+function unpack(geometries) {
+  const out = {};
+  for (const [name, g] of Object.entries(geometries)) {
+    const geo = new THREE.BufferGeometry();
+    for (const [attr, { array, itemSize }] of Object.entries(g.attributes)) {
+      geo.setAttribute(attr, new THREE.BufferAttribute(array, itemSize));
+    }
+    if (g.index) geo.setIndex(new THREE.BufferAttribute(g.index, 1));
+    out[name] = geo;
+  }
+  return out;
+}
+
+// The page's import map with every address made absolute, for the worker.
+function pageImportMap() {
+  const script = document.querySelector('script[type="importmap"]');
+  const { imports = {} } = script ? JSON.parse(script.textContent) : {};
+  const resolved = {};
+  for (const [spec, url] of Object.entries(imports)) resolved[spec] = new URL(url, document.baseURI).href;
+  return { imports: resolved };
+}
@@ -0,0 +1,67 @@
+// src/history.js
+
+/**
+ * Linear undo/redo over design snapshots.
+ *
+ *  capture()        → { values, thumb } for the current state
+ *  restore(values)  → push values back into params, UI and scene
+ *  onChange(h)      → called after every step so toolbars/strips can redraw
+ *
+ * `commit(key)` records the current state. Commits with the same key inside
+ * `mergeMs` replace the newest step instead of adding one, so keyboard nudges
+ * on one slider collapse into a single step (a mouse drag already commits
+ * only once, on release).
+ */
+export function createHistory({ capture, restore, onChange = () => {}, limit = 50, mergeMs = 1000 }) {
+  let steps = [];
+  let index = -1;
+  let last = { key: null, at: 0 };
+
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  function commit(key = null) {
+    const snap = capture();
+    const now = performance.now();
+    if (index >= 0 && same(steps[index].values, snap.values)) {
+      steps[index].thumb = snap.thumb ?? steps[index].thumb;
+      onChange(api);
+      return;
+    }
+    steps = steps.slice(0, index + 1);
+    if (key && key === last.key && now - last.at < mergeMs) {
+      steps[index] = snap;
+    } else {
+      steps.push(snap);
+      if (steps.length > limit) steps.shift();
+      index = steps.length - 1;
+    }
+    last = { key, at: now };
+    onChange(api);
+  }
+
+  function go(to) {
+    if (to < 0 || to >= steps.length || to === index) return;
+    index = to;
+    last = { key: null, at: 0 };
+    restore(structuredClone(steps[index].values));
+    onChange(api);
+  }
+
+  const api = {
+    commit,
+    undo: () => go(index - 1),
+    redo: () => go(index + 1),
+    jump: go,
+    // Attach a thumbnail once the preview for `values` is rendered
+    setThumb(values, thumb) {
+      if (index < 0 || !same(steps[index].values, values)) return;
+      steps[index].thumb = thumb;
+      onChange(api);
+    },
+    get canUndo() { return index > 0; },
+    get canRedo() { return index < steps.length - 1; },
+    get steps() { return steps; },
+    get index() { return index; }
+  };
+  return api;
+}
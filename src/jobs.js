@@ -0,0 +1,188 @@
+// src/jobs.js
+// Geometry jobs. DOM-free: runs inside geometry.worker.js, or on the main
+// thread when no worker is available (geometryClient.js).
+import { buildSurface } from "./geometry.js";
+import { conformingCapSteps, slotOptionsFromParams } from "./caps.js";
+import { printPartsSteps, buildPrintCap, partBounds, partJoints, openPartsMessage } from "./printbody.js";
+import { gcodeSteps } from "./gcode.js";
+import { analyzePrintability, analysisOnMesh, applyAnalysisColors } from "./printability.js";
+import { fittingRingSteps } from "./fittings.js";
+import { hasPerforations } from "./perforations.js";
+import { hasCapVents, ventLayout } from "./thermal.js";
+import { emissionSteps } from "./lighting.js";
+import { measurePrint } from "./estimate.js";
+import { isSconce, sconceLayout } from "./sconce.js";
+
+// Newest job id per kind; anything older is dropped at its next step.
+const latest = { preview: 0, printBody: 0, gcode: 0, analysis: 0, emission: 0 };
+
+// `view` ("overhang" | "folds" | "heat") colours the body by printability.
+// Segmented lamps preview their print parts (part0, part1, …) instead of
+// body + cap, coloured the same way, and so do sconces (the flat back) and
+// perforated ones.
+// Every preview carries `measures` for the weight/cost/time estimate (estimate.js).
+function* previewSteps(p, { capH, holeR, view = "off" }) {
+  if (partBounds(p).length > 1 || isSconce(p) || hasPerforations(p)) return yield* partsPreviewSteps(p, { capH, holeR, view });
+  yield { label: "Surface", done: 0, total: 1 };
+  const body = buildSurface(p);
+  let problems = null;
+  if (view !== "off") {
+    yield { label: "Printability", done: 0, total: 1 };
+    const analysis = analyzePrintability(p, body, { capH });
+    applyAnalysisColors(body, analysis, view);
+    problems = analysis.problems;
+  }
+  const cap = yield* capSteps(p, capH, holeR);
+  const ring = p.fittingRing ? yield* fittingRingSteps(p) : null;
+  return { body, cap, ring, problems, measures: measurePrint(p, body, cap, { capH }) };
+}
+
+function* partsPreviewSteps(p, { capH, holeR, view }) {
+  const parts = yield* printPartsSteps(p, { capH, holeR });
+  let problems = null;
+  if (view !== "off") {
+    yield { label: "Printability", done: 0, total: 1 };
+    const surface = buildSurface(p);
+    const analysis = analyzePrintability(p, surface, { capH });
+    for (const { geometry } of parts) applyAnalysisColors(geometry, analysisOnMesh(p, analysis, geometry), view);
+    surface.dispose();
+    problems = analysis.problems;
+  }
+  const ring = p.fittingRing ? yield* fittingRingSteps(p) : null;
+  return { ...namedParts(parts), ring, problems, measures: yield* measureSteps(p, capH, holeR, parts) };
+}
+
+function capSteps(p, capH, holeR) {
+  return p.mount === "standing"
+    ? conformingCapSteps(p, 0, capH, holeR, slotOptionsFromParams(p))
+    : conformingCapSteps(p, 1, capH, holeR, { bottomSlot: false, vents: capVents(p, capH, holeR) });
+}
+
+// Vents in the hanging cap, when asked for and the cap has room.
+function capVents(p, capH, holeR) {
+  return hasCapVents(p) ? ventLayout(p, { capH, holeR })?.vents ?? [] : [];
+}
+
+// Surface and cap just for the measures, for previews that show print parts
+// instead; a sconce's parts are measured themselves.
+function* measureSteps(p, capH, holeR, parts) {
+  yield { label: "Estimate", done: 0, total: 1 };
+  const surface = buildSurface(p);
+  const cap = yield* capSteps(p, capH, holeR);
+  const solids = isSconce(p) ? parts.map(part => part.geometry) : null;
+  const measures = measurePrint(p, surface, cap, { capH, solids });
+  surface.dispose();
+  cap.dispose();
+  return measures;
+}
+
+const namedParts = parts => Object.fromEntries(parts.map((part, k) => ["part" + k, part.geometry]));
+
+// Problems only, for the check before exporting.
+function* analysisSteps(p, { capH } = {}) {
+  yield { label: "Printability", done: 0, total: 1 };
+  const body = buildSurface(p);
+  const { problems } = analyzePrintability(p, body, { capH });
+  body.dispose();
+  return { problems };
+}
+
+// One body, or part0, part1, … when the lamp is segmented. With
+// separateCap the mount cap comes as a solid of its own (cap), left out of
+// the body. Open meshes are refused: a slicer would guess at them. So is a
+// sconce without room for its fitting hole.
+function* printBodySteps(p, { separateCap = false, ...options } = {}) {
+  if (isSconce(p)) {
+    const { fitting, problems } = sconceLayout(p, { joints: partJoints(p), capH: options.capH });
+    if (!fitting) throw new Error(`No room for the fitting hole: ${problems.join(" ")}`);
+  }
+  const parts = yield* printPartsSteps(p, { ...options, cap: !separateCap });
+  let cap = null;
+  if (separateCap) {
+    yield { label: "Print cap", done: 0, total: 1 };
+    cap = buildPrintCap(p, options);
+  }
+  const ring = p.fittingRing ? yield* fittingRingSteps(p) : null;
+  const open = openPartsMessage(parts, { cap, ring });
+  if (open) throw new Error(open);
+  const solids = parts.length > 1 ? namedParts(parts) : { body: parts[0].geometry };
+  return { ...solids, cap, ring };
+}
+
+function* gcodeJobSteps(p, options) {
+  return { gcode: yield* gcodeSteps(p, options) };
+}
+
+// Light leaving the lamp, for the lit room (lighting.js).
+function* emissionJobSteps(p, options) {
+  return yield* emissionSteps(p, options);
+}
+
+const JOBS = {
+  preview: previewSteps, printBody: printBodySteps, gcode: gcodeJobSteps, analysis: analysisSteps,
+  emission: emissionJobSteps
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Run one message:
+ *  { type: "build", id, kind, params, options } → progress…, then result | cancelled | error
+ *  (result: geometries are packed for transfer, anything else goes in `data`)
+ *  { type: "cancel", id, kind }                 → drops that job and older ones
+ * `post(message, transfer)` delivers replies.
+ */
+export async function runJob(msg, post) {
+  if (msg.type === "cancel") {
+    latest[msg.kind] = Math.max(latest[msg.kind], msg.id);
+    return;
+  }
+  if (msg.type !== "build") return;
+  const { id, kind, params, options } = msg;
+  latest[kind] = id;
+
+  try {
+    const gen = JOBS[kind](params, options);
+    let r;
+    for (;;) {
+      await tick();                         // let newer requests arrive
+      if (latest[kind] !== id) {
+        gen.return();
+        post({ type: "cancelled", id, kind });
+        return;
+      }
+      r = gen.next();
+      if (r.done) break;
+      post({ type: "progress", id, kind, ...r.value });
+    }
+
+    const transfer = new Set();
+    const geometries = {};
+    const data = {};
+    for (const [name, value] of Object.entries(r.value)) {
+      if (value?.isBufferGeometry) geometries[name] = packGeometry(value, transfer);
+      else data[name] = value;
+    }
+    post({ type: "result", id, kind, geometries, data }, [...transfer]);
+  } catch (err) {
+    post({ type: "error", id, kind, message: err?.message ?? String(err) });
+  }
+}
+
+// BufferGeometry → plain arrays (their buffers go in `transfer`).
+function packGeometry(geo, transfer) {
+  const attributes = {};
+  for (const [name, attr] of Object.entries(geo.attributes)) {
+    attributes[name] = { array: attr.array, itemSize: attr.itemSize };
+    transfer.add(attr.array.buffer);
+  }
+  const index = geo.index ? geo.index.array : null;
+  if (index) transfer.add(index.buffer);
+  geo.dispose();
+  return { attributes, index };
+}
+
+/** Worker entry: geometry.worker.js forwards every message here. */
+export function handleMessage(msg) {
+  return runJob(msg, (reply, transfer = []) => self.postMessage(reply, transfer));
+}
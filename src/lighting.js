@@ -0,0 +1,169 @@
+// src/lighting.js
+// Light leaving the lamp, for the lit-room preview: which directions see the
+// bulb through an opening, how much gets through the wall everywhere else,
+// and what that makes in lux at a distance. DOM-free (runs in the worker).
+import { outerRadiusAt, maxOuterRadius } from "./geometry.js";
+import { perforationLayout } from "./perforations.js";
+import { backReach, mountedBulb, printOuterRadiusAt, withoutBackHoles } from "./sconce.js";
+
+export const EMISSION_ROWS = 91;   // polar angle samples, 0 (straight up) … π (straight down)
+export const EMISSION_COLS = 360;  // samples around Z
+const STEP_MM = 1.5;               // ray march step inside the shade
+const MIN_SHIELDING_DEG = 15;      // below this a bare bulb is in view from normal positions
+
+/** Luminous intensity (cd) of a bulb radiating `lumens` evenly in all directions. */
+export function bulbCandela(lumens) {
+  return lumens / (4 * Math.PI);
+}
+
+/**
+ * Emission table: for each direction from the bulb centre (row = polar angle,
+ * col = angle around Z), the fraction of the bulb's intensity that leaves
+ * the lamp, split into `open` (straight out through the open end or a
+ * perforation) and `wall` (through the shade). The wall passes
+ * `transmission` at normal incidence and less at a slant, as the light's
+ * path through it grows: T^(1 / cos θ). That is what draws the ripple
+ * pattern onto the room. Caps and a sconce's back plate are treated as
+ * opaque. A sconce's bulb sits off the axis (sconce.js mountedBulb), so its
+ * rays meet the wall at their own angle around Z rather than the table's.
+ * Step generator like conformingCapSteps; returns { open, wall } Float32Arrays.
+ */
+export function* emissionSteps(p, { transmission, capH = 5 }) {
+  const H = p.height;
+  const { x: xb, y: yb, z: zb } = mountedBulb(p).centre;
+  const maxR = maxOuterRadius(p) + 1 + Math.hypot(xb, yb);
+  const openTop = p.mount === "standing";   // the cap closes the other end
+  const holes = withoutBackHoles(p, perforationLayout(p, { capH }));
+
+  const open = new Float32Array(EMISSION_ROWS * EMISSION_COLS);
+  const wall = new Float32Array(EMISSION_ROWS * EMISSION_COLS);
+  for (let row = 0; row < EMISSION_ROWS; row++) {
+    if (row % 10 === 0) yield { label: "Light", done: row, total: EMISSION_ROWS };
+    const alpha = (row / (EMISSION_ROWS - 1)) * Math.PI;
+    const sa = Math.sin(alpha), ca = Math.cos(alpha);
+    // Ray parameter where it leaves the shade's height range
+    const tEnd = Math.min(ca > 1e-9 ? (H - zb) / ca : ca < -1e-9 ? -zb / ca : Infinity, sa > 1e-9 ? maxR / sa : Infinity);
+
+    for (let col = 0; col < EMISSION_COLS; col++) {
+      const phi = (col / EMISSION_COLS) * 2 * Math.PI;
+      const cp = Math.cos(phi), sp = Math.sin(phi);
+      // Where the ray is at t: its angle around Z and distance from the axis
+      const at = t => {
+        const x = xb + t * sa * cp, y = yb + t * sa * sp;
+        return { psi: Math.atan2(y, x), rho: Math.hypot(x, y) };
+      };
+      const gap = t => {   // > 0 once outside the wall
+        const { psi, rho } = at(t);
+        return rho - printOuterRadiusAt(p, (zb + t * ca) / H, psi);
+      };
+      let t0 = 0, t1 = -1;
+      while (t0 < tEnd) {
+        const t = Math.min(t0 + STEP_MM, tEnd);
+        if (gap(t) > 0) { t1 = t; break; }
+        t0 = t;
+      }
+      const k = row * EMISSION_COLS + col;
+      if (t1 < 0) {
+        // Out through an end: open, or into a cap
+        open[k] = (ca > 0) === openTop ? 1 : 0;
+        continue;
+      }
+      for (let i = 0; i < 10; i++) {
+        const tm = (t0 + t1) / 2;
+        if (gap(tm) > 0) t1 = tm; else t0 = tm;
+      }
+      const z = zb + t1 * ca, { psi, rho } = at(t1);
+      if (backReach(p, psi).outer <= outerRadiusAt(p, z / H, psi)) continue;   // into the back plate
+      if (inHole(holes, z, psi, rho)) {
+        open[k] = 1;
+        continue;
+      }
+      // Wall normal from the radius slopes, and the ray, in (radial, around, up) components
+      const v = z / H, e = 1e-3;
+      const r = printOuterRadiusAt(p, v, psi);
+      const dRdPhi = (printOuterRadiusAt(p, v, psi + e) - printOuterRadiusAt(p, v, psi - e)) / (2 * e);
+      const dRdZ = (printOuterRadiusAt(p, v + e, psi) - printOuterRadiusAt(p, v - e, psi)) / (2 * e * H);
+      const radial = sa * Math.cos(phi - psi), around = sa * Math.sin(phi - psi);
+      const cos = Math.abs(radial - around * dRdPhi / r - ca * dRdZ) / Math.hypot(1, dRdPhi / r, dRdZ);
+      wall[k] = Math.pow(transmission, 1 / Math.max(0.05, cos));
+    }
+  }
+  return { open, wall };
+}
+
+// Whether the wall point (z, phi) at radius r falls inside a perforation.
+function inHole(rows, z, phi, r) {
+  for (const row of rows) {
+    if (Math.abs(z - row.z) > row.height / 2) continue;
+    for (const ang of row.angles) {
+      const d = Math.atan2(Math.sin(phi - ang), Math.cos(phi - ang));
+      if (Math.abs(d) * r <= row.width / 2 && insidePolygon(row.outline, d * r, z - row.z)) return true;
+    }
+  }
+  return false;
+}
+
+function insidePolygon(pts, x, y) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const [xi, yi] = pts[i], [xj, yj] = pts[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/** Table value at a direction (unit vector, lamp coordinates), interpolated. */
+export function sampleEmission(table, dx, dy, dz) {
+  const fr = (Math.acos(Math.max(-1, Math.min(1, dz))) / Math.PI) * (EMISSION_ROWS - 1);
+  const fc = (((Math.atan2(dy, dx) / (2 * Math.PI)) % 1 + 1) % 1) * EMISSION_COLS;
+  const r0 = Math.min(EMISSION_ROWS - 2, Math.floor(fr)), c0 = Math.floor(fc) % EMISSION_COLS;
+  const c1 = (c0 + 1) % EMISSION_COLS, tr = fr - r0, tc = fc - Math.floor(fc);
+  const at = (r, c) => table[r * EMISSION_COLS + c];
+  const top = at(r0, c0) + (at(r0, c1) - at(r0, c0)) * tc;
+  const bottom = at(r0 + 1, c0) + (at(r0 + 1, c1) - at(r0 + 1, c0)) * tc;
+  return top + (bottom - top) * tr;
+}
+
+/**
+ * Readings for the sidebar, `distance` in metres:
+ *  axisLux      straight out of the open end (down for hanging lamps)
+ *  sideLux      level with the bulb, averaged around the lamp
+ *  outputLm     light leaving the lamp (open + through the wall)
+ *  shieldingDeg how far below (hanging) or above (standing) the horizontal
+ *               an eye must be to see the bulb tip through the opening
+ * plus `glare` when the shielding angle is under MIN_SHIELDING_DEG.
+ */
+export function lightReadings(p, { open, wall }, { lumens, distance }) {
+  const cd = bulbCandela(lumens);
+  const standing = p.mount === "standing";
+  const both = (dx, dy, dz) => sampleEmission(open, dx, dy, dz) + sampleEmission(wall, dx, dy, dz);
+
+  const level = ((EMISSION_ROWS - 1) / 2) * EMISSION_COLS;
+  let side = 0;
+  for (let col = 0; col < EMISSION_COLS; col++) side += open[level + col] + wall[level + col];
+  side /= EMISSION_COLS;
+
+  // ∫ f dΩ over the table, in steradians
+  let solid = 0;
+  const dAlpha = Math.PI / (EMISSION_ROWS - 1), dPhi = (2 * Math.PI) / EMISSION_COLS;
+  for (let row = 0; row < EMISSION_ROWS; row++) {
+    const weight = Math.sin((row / (EMISSION_ROWS - 1)) * Math.PI) * dAlpha * dPhi * (row === 0 || row === EMISSION_ROWS - 1 ? 0.5 : 1);
+    for (let col = 0; col < EMISSION_COLS; col++) solid += (open[row * EMISSION_COLS + col] + wall[row * EMISSION_COLS + col]) * weight;
+  }
+
+  // Bulb tip against the rim of the open end
+  const tipZ = mountedBulb(p).tip.z;
+  const rimZ = standing ? p.height : 0;
+  const depth = standing ? rimZ - tipZ : tipZ - rimZ;
+  let rim = Infinity;
+  for (let i = 0; i < EMISSION_COLS; i++) rim = Math.min(rim, printOuterRadiusAt(p, rimZ / p.height, (i / EMISSION_COLS) * 2 * Math.PI));
+  const shieldingDeg = depth > 0 ? (Math.atan2(depth, rim) * 180) / Math.PI : 0;
+
+  return {
+    axisLux: (cd * both(0, 0, standing ? 1 : -1)) / distance ** 2,
+    sideLux: (cd * side) / distance ** 2,
+    outputLm: cd * solid,
+    shieldingDeg,
+    glare: shieldingDeg < MIN_SHIELDING_DEG
+  };
+}
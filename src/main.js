@@ -4,11 +4,39 @@ import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import { RoomEnvironment } from "three/addons/environments/RoomEnvironment.js";
 import { STLExporter } from "three/addons/exporters/STLExporter.js";
 
-import { params, clampForBambu } from "@app/params.js";
+import { params, clampToPrinter, PARAM_SCHEMA } from "@app/params.js";
+import { PRINTERS, getPrinter, printerLimits } from "@app/printers.js";
 import { makeMaterial } from "@app/materials.js";
-import { buildSurface } from "@app/geometry.js";
-import { buildConformingCap } from "@app/caps.js";
-import { bindRange, bindSelect } from "@app/ui.js";
+import { FILAMENTS, FILAMENT_LOOKS, getFilament, filamentLabel } from "@app/filaments.js";
+import { printEstimate } from "@app/estimate.js";
+import { buildSlotDebug, slotOptionsFromParams } from "@app/caps.js";
+import { createGeometryClient } from "@app/geometryClient.js";
+import { partBounds, partJoints } from "@app/printbody.js";
+import { formatDuration } from "@app/gcode.js";
+import { ANALYSIS_VIEWS, describeProblem } from "@app/printability.js";
+import { FITTINGS, getFitting, fittingHoleR, bulbPlacement } from "@app/fittings.js";
+import { PERF_SHAPES, PERF_LAYOUTS } from "@app/perforations.js";
+import { lightReadings } from "@app/lighting.js";
+import { BULB_TYPES, heatCheck, describeHeat, hasCapVents } from "@app/thermal.js";
+import { isSconce, sconcePlane, sconceLayout } from "@app/sconce.js";
+import { DECORATION_KINDS, DECORATION_MODES } from "@app/decoration.js";
+import { textMap, imageFileMap } from "@app/decorationImage.js";
+import { baseRadius, segmentsFor } from "@app/geometry.js";
+import { createRoom } from "@app/room.js";
+import { buildDrawing, drawingToSvg, drawingToPdf } from "@app/drawing.js";
+import { VARIATION_KEYS, variationGallery, randomSeed } from "@app/variations.js";
+import { createThumbnailRenderer } from "@app/thumbnails.js";
+import { CAMERA_PRESETS, SHOT_SIZES, TURNTABLE_FPS, parseShotSize, createShots } from "@app/shots.js";
+import { build3mf, lampObjects } from "@app/threemf.js";
+import { listPatterns, getPattern } from "@app/patterns.js";
+import { PROFILE_PRESETS, presetPoints } from "@app/profile.js";
+import { createProfileEditor } from "@app/profileEditor.js";
+import { bindRange, bindSelect, bindCheck, bindText, fillSelect, buildParamControls, syncControls, onCommit } from "@app/ui.js";
+import { createHistory } from "@app/history.js";
+import {
+  serializeDesign, applyDesign, downloadDesign, readDesignFile, listPresets, savePreset, loadPreset, deletePreset,
+  designFromHash, shareLink
+} from "@app/design.js";
 
 // ---- Version badge ----
 const ver = document.getElementById("version");
@@ -42,7 +70,7 @@ function getStageHeight() {
 
 // ---- Renderer & scene ----
 const canvas = document.getElementById("canvas");
-const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });   // alpha: transparent shots
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 renderer.setSize(getStageWidth(), getStageHeight());
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
@@ -82,7 +110,8 @@ export function forceResize() {
 window.addEventListener("resize", forceResize, { passive: true });
 
 // ---- Lighting rig ----
-scene.add(new THREE.AmbientLight(0xffffff, 0.35));
+const ambient = new THREE.AmbientLight(0xffffff, 0.35);
+scene.add(ambient);
 
 const hemi = new THREE.HemisphereLight(0xffffff, 0xdde3f0, 0.9);
 hemi.position.set(0, 1, 0);
@@ -106,13 +135,24 @@ grid.rotation.x = Math.PI / 2;
 grid.position.z = 0;
 scene.add(grid);
 
+// Night-time room lit only by the bulb (room.js); replaces the rig above while on
+const room = createRoom({ scene, renderer, camera, daylight: [ambient, hemi, key, fill, rim, grid] });
+
 let group;
 let materialOuter;
+let profileEditor;
 const exporter = new STLExporter();
 
+// ---- Assembly dimensions (mm); hole, socket and bulb come from fittings.js ----
+const CAP_H = 5;
+const CABLE_R = 2;
+
 function rebuild() {
-  params.mount = "hanging";
-  clampForBambu(params);
+  applyPrinterRanges();
+  const warnings = clampToPrinter(params);
+  showWarnings(warnings);
+  syncSlider("height", params.height);
+  syncSlider("rbase", params.rbase);
 
   const setL = (id, v) => {
     const el = document.getElementById("val_" + id);
@@ -124,75 +164,570 @@ function rebuild() {
   setL("waves", params.waves);
   setL("amp", Number(params.amp).toFixed(2));
   setL("twist", params.twist);
+  profileEditor?.redraw();
+
+  const slotPanel = document.getElementById("slotControls");
+  if (slotPanel) slotPanel.hidden = params.mount !== "standing";
+  showSconceInfo();
+  showDecorInfo();
+  const perfPanel = document.getElementById("perfControls");
+  if (perfPanel) perfPanel.hidden = params.perfShape === "none";
+  const perfCount = document.getElementById("perfCount")?.closest(".row");
+  if (perfCount) perfCount.hidden = params.perfLayout === "crests";
+  showSegmentInfo();
+  showFilamentInfo();
+  showHeat();
+
+  // Draft at low resolution right away, refine once input pauses
+  const drafting = params.res !== "low";
+  requestPreview(drafting);
+  clearTimeout(refineTimer);
+  if (drafting) refineTimer = setTimeout(() => requestPreview(false), REFINE_DELAY_MS);
+}
+
+// ---- Preview builds (off the main thread, see geometryClient.js) ----
+const REFINE_DELAY_MS = 250;
+let refineTimer = 0;
+let progressTimer = 0;
+let lastRequestKey = "";
+let lastFinal = null;   // { values, thumb } of the newest full-resolution preview
+let analysisView = "off"; // printability colouring, view-only (not part of the design)
+
+const progressEl = document.getElementById("progress");
+const geometryClient = createGeometryClient({
+  onProgress: msg => msg.kind === "gcode" ? showGcodeProgress(msg) : showProgress(msg)
+});
+
+function requestPreview(draft) {
+  const p = structuredClone(params);
+  if (draft) p.res = "low";
+  const view = analysisView;
+  const key = JSON.stringify([p, view]);
+  if (key === lastRequestKey) return;
+  lastRequestKey = key;
+
+  clearTimeout(progressTimer);
+  progressTimer = setTimeout(() => { if (progressEl) progressEl.hidden = false; }, 150);
+  geometryClient.request("preview", p, { capH: CAP_H, view })
+    .then(geo => { if (geo) applyPreview(geo, p, draft); })
+    .catch(err => {
+      hideProgress();
+      showWarnings(["Preview failed: " + err.message]);
+    });
+}
+
+function showProgress({ label, done, total }) {
+  if (!progressEl) return;
+  progressEl.querySelector(".label").textContent = `${label} (${done + 1}/${total})`;
+  progressEl.querySelector(".bar span").style.width = `${(done / total) * 100}%`;
+}
+
+function hideProgress() {
+  clearTimeout(progressTimer);
+  if (progressEl) progressEl.hidden = true;
+}
 
+function applyPreview(geo, p, draft) {
+  hideProgress();
   if (group) {
     scene.remove(group);
     group.traverse(o => { if (o.geometry) o.geometry.dispose?.(); });
   }
   group = new THREE.Group();
 
-  materialOuter = makeMaterial(params.finish);
+  materialOuter = makeMaterial(getFilament(p));
+
+  // ---- Lamp body (coloured by printability when an analysis view is on),
+  // or the print parts of a segmented lamp, pulled apart along Z ----
+  const analysisMaterial = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.6, side: THREE.DoubleSide });
+  const bodyMaterial = g => g.attributes.color ? analysisMaterial : materialOuter;
+  partMeshes = [];
+  if (geo.part0) {
+    for (let k = 0; geo["part" + k]; k++) partMeshes.push(new THREE.Mesh(geo["part" + k], bodyMaterial(geo["part" + k])));
+    group.add(...partMeshes);
+    positionParts(p);
+  } else {
+    group.add(new THREE.Mesh(geo.body, bodyMaterial(geo.body)));
+  }
+  showAnalysis(geo.problems);
+
+  if (p.mount === "standing") buildStandingAssembly(group, p, geo.cap);
+  else if (isSconce(p)) buildSconceAssembly(group, p);
+  else buildHangingAssembly(group, p, geo.cap);
+  if (geo.ring) group.add(placeRing(p, geo.ring));
+
+  group.position.z = 0;
+  controls.target.set(0, 0, p.height * 0.5);
+  controls.update();
+
+  scene.add(group);
+  forceResize();
+  shown = { p, draft };
+  placeSconceWall();
+  lightRoom();
+  measures = geo.measures ?? null;
+  showEstimate();
+
+  if (!draft) {
+    const values = serializeDesign(p).params;
+    lastFinal = { values, thumb: captureThumb() };
+    undoHistory.setThumb(values, lastFinal.thumb);
+  }
+}
+
+// ---- Segmented lamps: exploded parts ----
+const segmentView = { explode: 30 };   // mm between parts in the preview, view-only
+let partMeshes = [];
+
+// Hanging lamps keep the top part (with the cap) in place, standing lamps the bottom one.
+function positionParts(p) {
+  const n = partMeshes.length;
+  partMeshes.forEach((mesh, k) => {
+    mesh.position.z = (p.mount === "standing" ? k : k - (n - 1)) * segmentView.explode;
+  });
+}
+
+function showSegmentInfo() {
+  const info = document.getElementById("segmentInfo");
+  if (!info) return;
+  const bounds = partBounds(params);
+  info.textContent = bounds.length > 1
+    ? `${bounds.length} parts of ${Math.round(bounds[0][1])} mm, each + ${params.jointH} mm spigot below the top one`
+    : params.segmented ? "Fits the printer in one piece." : "";
+}
+
+// ---- Lit room (room.js, lighting.js): view-only, apart from the bulb's lumens ----
+const roomView = { enabled: false, distance: 1.5, transmission: getFilament(params).transmission };
+let shown = null;        // { p, draft } of the preview on screen
+let emission = null;     // emissionSteps table for the last full-resolution preview
+let lastEmissionKey = "";
+let emissionJob = Promise.resolve();   // settles once the newest emission table is applied
 
-  // ---- Lamp body ----
-  const body = new THREE.Mesh(buildSurface(params), materialOuter);
-  group.add(body);
+// Re-light the room; returns emissionJob, for callers that need the finished light.
+function lightRoom() {
+  if (!group || !shown) return emissionJob;
+  room.apply(group, shown.p, emission, { lumens: params.bulbLumens, transmission: roomView.transmission, shade: materialOuter });
+  showLux();
+  if (!room.enabled || shown.draft) return emissionJob;
 
-  // ---- Hanging assembly ----
-  const capH = 5;
-  const bulbZ = params.height * 0.70;
+  // The table depends on the shape and the transmission only; drafts keep the last one
+  const p = shown.p;
+  const key = JSON.stringify([{ ...p, bulbLumens: 0 }, roomView.transmission]);
+  if (key === lastEmissionKey) return emissionJob;
+  lastEmissionKey = key;
+  emissionJob = geometryClient.request("emission", p, { transmission: roomView.transmission, capH: CAP_H })
+    .then(table => {
+      if (!table) return;
+      emission = table;
+      lightRoom();
+    })
+    .catch(err => showWarnings(["Light simulation failed: " + err.message]));
+  return emissionJob;
+}
+
+function showLux() {
+  const info = document.getElementById("luxInfo");
+  if (!info) return;
+  if (!room.enabled || !emission || !shown) {
+    info.textContent = room.enabled ? "Working out the light…" : "";
+    return;
+  }
+  const p = shown.p, d = roomView.distance;
+  const r = lightReadings(p, emission, { lumens: params.bulbLumens, distance: d });
+  const standing = p.mount === "standing";
+  const lines = [
+    `≈ ${Math.round(r.axisLux)} lx straight ${standing ? "above" : "below"}, ${r.sideLux.toFixed(1)} lx to the side at ${d.toFixed(1)} m`,
+    `≈ ${Math.round(r.outputLm)} lm of ${params.bulbLumens} lm leave the lamp`,
+    r.glare
+      ? `Glare: the bulb is in view from ${Math.round(r.shieldingDeg)}° ${standing ? "above" : "below"} the horizontal; a longer shade or shorter bulb hides it`
+      : `Bulb hidden until ${Math.round(r.shieldingDeg)}° ${standing ? "above" : "below"} the horizontal`
+  ];
+  info.replaceChildren(...lines.map((text, k) => {
+    const div = document.createElement("div");
+    div.textContent = text;
+    if (k === 2 && r.glare) div.className = "warn";
+    return div;
+  }));
+}
+
+// ---- Filament (filaments.js): picker, custom entry, weight/cost/time estimate ----
+let measures = null;   // measurePrint result of the preview on screen
+
+function showFilamentInfo() {
+  const custom = document.getElementById("customFilament");
+  if (custom) custom.hidden = params.filament !== "custom";
+  const info = document.getElementById("filamentInfo");
+  if (!info) return;
+  const f = getFilament(params);
+  info.textContent = `${f.type} · ${f.density} g/cm³ · ${f.pricePerKg} per kg · ${Math.round(f.transmission * 100)}% light through the wall`;
+}
+
+function showEstimate() {
+  const info = document.getElementById("estimateInfo");
+  if (!info) return;
+  if (!measures) {
+    info.textContent = "";
+    return;
+  }
+  const e = printEstimate(params, measures, { capH: CAP_H });
+  info.textContent = `≈ ${e.volumeCm3.toFixed(1)} cm³ · ${Math.round(e.grams)} g · cost ${e.cost.toFixed(2)}` +
+    (e.seconds === null ? " · slice the STL for the print time" : ` · ${formatDuration(e.seconds)} in vase mode`);
+}
+
+// The lit room starts from the filament's own wall transmission
+function filamentChanged(rebuildPreview) {
+  roomView.transmission = getFilament(params).transmission;
+  syncSlider("roomTransmission", roomView.transmission);
+  const lab = document.getElementById("val_roomTransmission");
+  if (lab) lab.textContent = roomView.transmission.toFixed(2);
+  if (rebuildPreview) return rebuild();
+  showFilamentInfo();
+  showEstimate();
+  lightRoom();
+}
+
+// ---- Heat safety (thermal.js): sidebar note, vent suggestion, export gate ----
+function showHeat() {
+  const ventRow = document.getElementById("capVentsRow");
+  if (ventRow) ventRow.hidden = params.mount === "standing";
+  const info = document.getElementById("heatInfo");
+  if (!info) return;
+  const check = heatCheck(params, { capH: CAP_H });
+  const lines = describeHeat(check);
+  const hottest = Math.max(check.maxC, check.capC);
+  const rows = [{ text: `Hottest wall ≈ ${Math.round(hottest)} °C; ${getFilament(params).name} softens at ${check.tgC} °C.` }];
+  rows.push(...lines.map(text => ({ text, cls: check.level })));
+  const { vents } = check;
+  if (vents && (check.level !== "ok" || hasCapVents(params))) {
+    const d = (vents.vents[0].r * 2).toFixed(1);
+    rows.push({ text: `${vents.vents.length} × ${d} mm cap vents give ${Math.round(vents.area)} of the ${Math.round(vents.needed)} mm² this bulb needs` +
+      (hasCapVents(params) ? "." : " (tick “Vents in the top cap”).") });
+  } else if (params.mount !== "standing" && !vents && hasCapVents(params)) {
+    rows.push({ text: "The top cap has no room for vents around this fitting.", cls: "warn" });
+  }
+  info.replaceChildren(...rows.map(({ text, cls }) => {
+    const div = document.createElement("div");
+    div.textContent = text;
+    if (cls && cls !== "ok") div.className = cls;
+    return div;
+  }));
+}
+
+// False when the bulb would soften the print (no override) or the user
+// cancels on a warning.
+function confirmHeatSafe(what) {
+  const check = heatCheck(params, { capH: CAP_H });
+  if (check.level === "ok") return true;
+  const lines = describeHeat(check);
+  showWarnings(lines);
+  if (check.level === "block") {
+    alert(`Not exporting the ${what}: the bulb would soften or overload this lamp.\n\n• ${lines.join("\n• ")}\n\nUse a cooler bulb, a filament with a higher softening point, or a wider lamp.`);
+    return false;
+  }
+  return confirm(`The bulb runs this lamp close to its softening point:\n\n• ${lines.join("\n• ")}\n\nExport the ${what} anyway?`);
+}
+
+// ---- Printer limits → slider ranges, clamp warnings ----
+function applyPrinterRanges() {
+  const printer = getPrinter(params);
+  const { minHeight, maxHeight, minRadius, maxRadius } = printerLimits(printer);
+  const h = document.getElementById("height");
+  const r = document.getElementById("rbase");
+  // Segmented lamps can be taller than the printer (up to the schema limit)
+  if (h) {
+    h.min = String(Math.floor(minHeight));
+    h.max = String(params.segmented ? PARAM_SCHEMA.height.max : maxHeight);
+  }
+  if (r) {
+    r.min = String(Math.floor(minRadius));
+    r.max = String(Math.floor(maxRadius));
+  }
+  const custom = document.getElementById("customPrinter");
+  if (custom) custom.hidden = params.printer !== "custom";
+  const info = document.getElementById("printerInfo");
+  if (info) {
+    const b = printer.build;
+    info.textContent = `Build ${b.x} × ${b.y} × ${b.z} mm · ${printer.nozzle} mm nozzle · ${printer.maxOverhangDeg}° max overhang`;
+  }
+}
+
+function syncSlider(id, value) {
+  const el = document.getElementById(id);
+  if (el && Number(el.value) !== value) el.value = String(value);
+}
+
+function showWarnings(list) {
+  const box = document.getElementById("warnings");
+  if (!box) return;
+  box.replaceChildren(...list.map(msg => {
+    const li = document.createElement("li");
+    li.textContent = msg;
+    return li;
+  }));
+  box.hidden = list.length === 0;
+}
+
+// ---- Printability (printability.js): overlay list and the check before exporting ----
+fillSelect("analysisView", ANALYSIS_VIEWS, analysisView);
+document.getElementById("analysisView")?.addEventListener("change", e => {
+  analysisView = e.target.value;
+  requestPreview(false);
+});
+
+function showAnalysis(problems) {
+  const list = document.getElementById("analysisList");
+  if (!list) return;
+  list.hidden = !problems;
+  if (!problems) return;
+  const items = problems.length ? problems.map(describeProblem) : ["No overhang or fold problems for this printer."];
+  list.replaceChildren(...items.map(msg => {
+    const li = document.createElement("li");
+    li.textContent = msg;
+    if (!problems.length) li.className = "ok";
+    return li;
+  }));
+}
+
+// Resolves false when the design has problems and the user cancels.
+async function confirmPrintable(what) {
+  let result;
+  try {
+    result = await geometryClient.request("analysis", params, { capH: CAP_H });
+  } catch {
+    return true;   // the analysis is advice; never block an export on it
+  }
+  if (!result?.problems.length) return true;
+  const lines = result.problems.map(describeProblem);
+  showWarnings(lines);
+  return confirm(`This design may not print cleanly in vase mode:\n\n• ${lines.join("\n• ")}\n\nExport the ${what} anyway?`);
+}
+
+// Bulb as a lathe outline for the fitting's shape, base at baseZ, pointing
+// up (dir 1) or down (dir -1) along Z.
+function makeBulb(fitting, baseZ, dir) {
+  const { d, length, shape } = fitting.bulb;
+  const R = d / 2, neck = Math.min(13, R);
+  const pts = [];
+  for (let i = 0; i <= 48; i++) {
+    const s = i / 48, y = s * length;
+    let r;
+    if (shape === "reflector") r = neck + (R - neck) * Math.pow(s, 0.6);
+    else if (shape === "candle") r = neck + (R - neck) * Math.pow(Math.sin(Math.PI * Math.min(1, s * 1.15)), 0.8);
+    else {
+      const yc = length - R;   // globe: neck, then a sphere ending at the tip
+      r = y < yc ? neck + (R - neck) * Math.min(1, y / yc) : Math.sqrt(Math.max(0, R * R - (y - yc) ** 2));
+    }
+    pts.push(new THREE.Vector2(Math.max(r, 0.01), y));
+  }
+  pts.push(new THREE.Vector2(0, length));
 
   const bulbMesh = new THREE.Mesh(
-    new THREE.SphereGeometry(10, 32, 32),
+    new THREE.LatheGeometry(pts, 48),
     new THREE.MeshPhysicalMaterial({
       color: 0xffffcc,
       emissive: 0xffffaa,
       emissiveIntensity: 1.5,
       roughness: 0.4,
       transmission: 0.9,
-      thickness: 1.5
+      thickness: 1.5,
+      side: THREE.DoubleSide
     })
   );
-  bulbMesh.position.z = bulbZ;
-  group.add(bulbMesh);
+  bulbMesh.rotation.x = dir * Math.PI / 2;   // lathe axis (+Y) → ±Z
+  bulbMesh.position.z = baseZ;
 
+  bulbMesh.userData.bulb = true;   // lets the lit room skip it as a shadow caster
+
+  const lightZ = baseZ + dir * (length - R);
   const bulbLight = new THREE.PointLight(0xffeeaa, 1.2, 600, 2.0);
-  bulbLight.position.set(0, 0, bulbZ);
-  group.add(bulbLight);
+  bulbLight.position.set(0, 0, lightZ);
+  return [bulbMesh, bulbLight];
+}
 
-  const cableTopZ = params.height + 150;
-  const socketH = 12;
-  const socketR = 6;
-  const socketTopZ = bulbZ + 8;
-  const cableLen = Math.max(10, cableTopZ - socketTopZ);
+function makeSocket(fitting, topZ) {
+  const { d, length } = fitting.socket;
+  const socket = new THREE.Mesh(
+    new THREE.CylinderGeometry(d / 2, d / 2, length, 32),
+    new THREE.MeshPhysicalMaterial({ color: 0x222222, roughness: 0.6, metalness: 0.3 })
+  );
+  socket.rotation.x = Math.PI / 2;
+  socket.position.z = topZ - length * 0.5;
+  return socket;
+}
+
+// Printed ring: under the cap of a hanging lamp (above it for a cord grip,
+// whose nut sits on top), on top of a standing lamp's cap, on the inside of
+// a sconce's back plate.
+function placeRing(p, ringGeom) {
+  const fitting = getFitting(p);
+  const ring = new THREE.Mesh(ringGeom, materialOuter);
+  if (isSconce(p)) {
+    const holder = sconceHolder(p);
+    ring.position.z = -p.sconceBack - fitting.ring.height;
+    holder.add(ring);
+    return holder;
+  }
+  if (p.mount === "standing") ring.position.z = CAP_H;
+  else if (fitting.socket.above < 0) ring.position.z = p.height;
+  else ring.position.z = p.height - CAP_H - fitting.ring.height;
+  return ring;
+}
 
-  const cable = new THREE.Mesh(
-    new THREE.CylinderGeometry(2, 2, cableLen, 24),
+function makeCable(len) {
+  return new THREE.Mesh(
+    new THREE.CylinderGeometry(CABLE_R, CABLE_R, len, 24),
     new THREE.MeshPhysicalMaterial({ color: 0x111111, roughness: 0.9 })
   );
+}
+
+// ---- Hanging assembly: top cap, cable from the ceiling, bulb at 70% ----
+function buildHangingAssembly(group, p, capGeom) {
+  const fitting = getFitting(p);
+  const { socketTopZ, baseZ } = bulbPlacement(p);
+  group.add(...makeBulb(fitting, baseZ, -1));
+
+  const cableTopZ = p.height + 150;
+  const cableLen = Math.max(10, cableTopZ - socketTopZ);
+
+  const cable = makeCable(cableLen);
   cable.rotation.x = Math.PI / 2;
   cable.position.z = (cableTopZ + socketTopZ) * 0.5;
   group.add(cable);
 
-  const socket = new THREE.Mesh(
-    new THREE.CylinderGeometry(socketR, socketR, socketH, 24),
-    new THREE.MeshPhysicalMaterial({ color: 0x222222, roughness: 0.6, metalness: 0.3 })
-  );
-  socket.rotation.x = Math.PI / 2;
-  socket.position.z = socketTopZ - socketH * 0.5;
-  group.add(socket);
+  group.add(makeSocket(fitting, socketTopZ));
+
+  if (capGeom) group.add(new THREE.Mesh(capGeom, materialOuter));
+}
+
+// ---- Wall sconce: bulb through the back plate, cable down the groove ----
+const SCONCE_CABLE_DROP = 300;   // mm of cable shown below the lamp
+
+// A sconce's holder frame: origin at the fitting hole on the back's wall
+// face, +Z into the wall, so the holder, bulb and ring sit in it as they do
+// under a hanging lamp's cap.
+function sconceHolder(p) {
+  const { phi, outer } = sconcePlane(p);
+  const holder = new THREE.Group();
+  holder.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), new THREE.Vector3(Math.cos(phi), Math.sin(phi), 0));
+  holder.position.set(Math.cos(phi) * outer, Math.sin(phi) * outer, p.sconceFittingZ * p.height);
+  return holder;
+}
+
+function buildSconceAssembly(group, p) {
+  const fitting = getFitting(p);
+  const { above, length } = fitting.socket;
+  const holder = sconceHolder(p);
+  holder.add(...makeBulb(fitting, above - length, -1));
+  holder.add(makeSocket(fitting, above));
+  group.add(holder);
+
+  // Out of the back of the holder and down the groove, when there is one
+  const { phi, outer } = sconcePlane(p);
+  const { channel } = sconceLayout(p);
+  if (!channel) return;
+  const back = outer - channel.depth / 2, zF = p.sconceFittingZ * p.height;
+  const down = makeCable(zF + SCONCE_CABLE_DROP);
+  down.rotation.x = Math.PI / 2;
+  down.position.set(Math.cos(phi) * back, Math.sin(phi) * back, (zF - SCONCE_CABLE_DROP) * 0.5);
+  group.add(down);
+}
 
-  const capTop = new THREE.Mesh(
-    buildConformingCap(params, 1, capH, 20, { bottomSlot: false }),
-    materialOuter
+// The wall behind a sconce, in the studio view (the lit room brings its own)
+let sconceWall = null;
+
+function placeSconceWall() {
+  if (sconceWall) {
+    scene.remove(sconceWall);
+    sconceWall.geometry.dispose();
+    sconceWall = null;
+  }
+  const p = shown?.p;
+  if (!p || !isSconce(p) || room.enabled) return;
+  const { phi, outer } = sconcePlane(p);
+  const size = 3 * Math.max(p.height, 2 * p.rbase);
+  sconceWall = new THREE.Mesh(
+    new THREE.PlaneGeometry(size, size),
+    new THREE.MeshStandardMaterial({ color: 0xe6e1d8, roughness: 0.9 })
   );
-  group.add(capTop);
+  sconceWall.position.set(Math.cos(phi) * outer, Math.sin(phi) * outer, p.height * 0.5);
+  sconceWall.up.set(0, 0, 1);
+  sconceWall.lookAt(0, 0, p.height * 0.5);   // the plane's front (+Z) faces the lamp
+  scene.add(sconceWall);
+}
 
-  group.position.z = 0;
-  controls.target.set(0, 0, params.height * 0.5);
-  controls.update();
+function showSconceInfo() {
+  const panel = document.getElementById("sconceControls");
+  if (panel) panel.hidden = !isSconce(params);
+  const info = document.getElementById("sconceInfo");
+  if (!info || !isSconce(params)) return;
+  const { fitting, keyholes, problems } = sconceLayout(params, { joints: partJoints(params), capH: CAP_H });
+  const rows = problems.map(text => ({ text, cls: "warn" }));
+  if (keyholes.length) {
+    rows.unshift({ text: `Keyholes ${Math.round(keyholes[1].u - keyholes[0].u)} mm apart, ${Math.round(keyholes[0].z)} mm up; back ${Math.round(sconcePlane(params).outer)} mm from the axis.` });
+  }
+  if (fitting) rows.unshift({ text: `Fitting hole Ø${Math.round(2 * fitting.r)} mm through the back, ${Math.round(fitting.z)} mm up.` });
+  info.replaceChildren(...rows.map(({ text, cls }) => {
+    const div = document.createElement("div");
+    div.textContent = text;
+    if (cls) div.className = cls;
+    return div;
+  }));
+}
 
-  scene.add(group);
-  forceResize();
+// ---- Decoration (decoration.js): text, logo or image baked into a height map ----
+function showDecorInfo() {
+  const kind = params.decorKind;
+  const show = (id, on) => {
+    const el = document.getElementById(id);
+    if (el) el.hidden = !on;
+  };
+  show("decorTextRow", kind === "text");
+  show("decorFileRow", kind === "svg" || kind === "image");
+  show("decorControls", kind !== "none");
+  const info = document.getElementById("decorInfo");
+  if (!info) return;
+  if (kind === "none") info.textContent = "";
+  else if (!params.decorMap) info.textContent = kind === "text" ? "Type the text to put on the wall." : "Choose a file to put on the wall.";
+  else {
+    const { w, h } = params.decorMap;
+    const column = (2 * Math.PI * baseRadius(params, params.decorV)) / segmentsFor(params.res).radialSeg;
+    info.textContent = `${Math.round((params.decorSize * w) / h)} × ${Math.round(params.decorSize)} mm, ${params.decorMode} ${params.decorDepth} mm. ` +
+      `The wall is sampled every ≈ ${column.toFixed(1)} mm around at this resolution; finer detail needs a higher one.`;
+  }
+}
+
+function bakeDecorText() {
+  params.decorMap = textMap(params.decorText, params.decorFont);
+  rebuild();
+}
+
+// ---- Standing assembly: bottom cap with cable D-slot, socket on the floor ----
+function buildStandingAssembly(group, p, capGeom) {
+  const slotOpts = slotOptionsFromParams(p);
+
+  if (capGeom) group.add(new THREE.Mesh(capGeom, materialOuter));
+
+  // Holder stands on the floor through the cap, bulb pointing up
+  const fitting = getFitting(p);
+  const { socketTopZ, baseZ } = bulbPlacement(p);
+  group.add(makeSocket(fitting, socketTopZ));
+  group.add(...makeBulb(fitting, baseZ, 1));
+
+  // Cable leaves the socket along the floor, out through the slot
+  const dirX = Math.cos(slotOpts.slotAngle), dirY = Math.sin(slotOpts.slotAngle);
+  const cableLen = p.rbase * 1.5 + 150;
+  const cable = makeCable(cableLen);
+  cable.rotation.z = slotOpts.slotAngle - Math.PI / 2;   // cylinder axis (+Y) → slot direction
+  cable.position.set(dirX * cableLen * 0.5, dirY * cableLen * 0.5, CABLE_R);
+  group.add(cable);
+
+  if (p.slotDebug) {
+    const dbg = buildSlotDebug(p, 0, fittingHoleR(p), slotOpts);
+    if (dbg) {
+      dbg.position.z = CAP_H + 0.2;   // lift above the cap so the guides stay visible
+      group.add(dbg);
+    }
+  }
 }
 
 // ---- UI bindings ----
@@ -203,20 +738,619 @@ bindRange("waves", "waves", params, rebuild);
 bindRange("amp", "amp", params, rebuild, v => Number(v).toFixed(2));
 bindRange("twist", "twist", params, rebuild);
 
-bindSelect("ripdir", "ripdir", params, rebuild);
+const fmtDeg = v => Math.round(v) + "°";
+const fmtMm = v => Number(v).toFixed(1);
+bindRange("slotAngleDeg", "slotAngleDeg", params, rebuild, fmtDeg);
+bindRange("slotWidth", "slotWidth", params, rebuild, fmtMm);
+bindRange("slotLength", "slotLength", params, rebuild, v => Number(v) > 0 ? fmtMm(v) : "auto");
+bindRange("slotOvershoot", "slotOvershoot", params, rebuild, fmtMm);
+bindRange("slotOffset", "slotOffset", params, rebuild, fmtMm);
+bindRange("slotRollDeg", "slotRollDeg", params, rebuild, fmtDeg);
+bindRange("slotMouthDeg", "slotMouthDeg", params, rebuild, fmtDeg);
+bindRange("slotTiltDeg", "slotTiltDeg", params, rebuild, fmtDeg);
+bindCheck("slotDebug", "slotDebug", params, rebuild);
+bindRange("sconceAngleDeg", "sconceAngleDeg", params, rebuild, fmtDeg);
+bindRange("sconceGap", "sconceGap", params, rebuild, fmtMm);
+bindRange("sconceFittingZ", "sconceFittingZ", params, rebuild, v => Number(v).toFixed(2));
+bindRange("sconceBack", "sconceBack", params, rebuild, fmtMm);
+bindRange("sconceChannel", "sconceChannel", params, rebuild, v => Number(v) > 0 ? fmtMm(v) : "none");
+bindRange("keyholeHead", "keyholeHead", params, rebuild, fmtMm);
+bindRange("keyholeShank", "keyholeShank", params, rebuild, fmtMm);
+
+// Silhouette: preset select + draggable profile curve
+fillSelect("profilePreset", [
+  ...Object.entries(PROFILE_PRESETS).map(([value, pr]) => ({ value, label: pr.label })),
+  { value: "custom", label: "Custom (edited)" }
+], params.profilePreset);
+
+profileEditor = createProfileEditor(document.getElementById("profileEditor"), params, () => {
+  params.profilePreset = "custom";
+  document.getElementById("profilePreset").value = "custom";
+  rebuild();
+}, () => undoHistory.commit("profile"));
+
+bindSelect("profilePreset", "profilePreset", params, () => {
+  if (params.profilePreset !== "custom") params.profile = presetPoints(params.profilePreset);
+  rebuild();
+});
+
+// Pattern select + the pattern's own declared controls
+fillSelect("pattern", listPatterns().map(pt => ({ value: pt.id, label: pt.label })), params.pattern);
+
+function refreshPatternControls() {
+  const pat = getPattern(params.pattern);
+  buildParamControls(document.getElementById("patternParams"), pat.params, params, rebuild);
+  for (const key of ["waves", "amp", "twist"]) {
+    const row = document.getElementById(key)?.closest(".row");
+    if (row) row.hidden = !pat.uses.includes(key);
+  }
+}
+refreshPatternControls();
+bindSelect("pattern", "pattern", params, () => { refreshPatternControls(); rebuild(); });
 bindSelect("mount", "mount", params, rebuild);
-bindSelect("finish", "finish", params, rebuild);
+fillSelect("fitting", Object.entries(FITTINGS).map(([value, f]) => ({ value, label: f.label })), params.fitting);
+// A new fitting brings its usual bulb; pick another after if yours differs
+bindSelect("fitting", "fitting", params, () => {
+  const { bulb } = getFitting(params);
+  params.bulbType = bulb.type;
+  params.bulbWatts = bulb.watts;
+  syncControls(params);
+  rebuild();
+});
+fillSelect("bulbType", Object.entries(BULB_TYPES).map(([value, b]) => ({ value, label: b.label })), params.bulbType);
+bindSelect("bulbType", "bulbType", params, rebuild);
+bindRange("bulbWatts", "bulbWatts", params, rebuild, v => Math.round(v) + " W");
+bindCheck("capVents", "capVents", params, rebuild);
+bindCheck("fittingRing", "fittingRing", params, rebuild);
+bindCheck("segmented", "segmented", params, rebuild);
+bindRange("jointH", "jointH", params, rebuild, fmtMm);
+bindRange("jointClearance", "jointClearance", params, rebuild, v => Number(v).toFixed(2));
+bindRange("explode", "explode", segmentView, () => {
+  if (!group) return;
+  positionParts(params);
+  room.refreshShadows();
+}, fmtMm);
+fillSelect("perfShape", Object.entries(PERF_SHAPES).map(([value, s]) => ({ value, label: s.label })), params.perfShape);
+bindSelect("perfShape", "perfShape", params, rebuild);
+fillSelect("perfLayout", PERF_LAYOUTS, params.perfLayout);
+bindSelect("perfLayout", "perfLayout", params, rebuild);
+bindRange("perfSize", "perfSize", params, rebuild, fmtMm);
+bindRange("perfGrade", "perfGrade", params, rebuild, v => Number(v).toFixed(2));
+bindRange("perfCount", "perfCount", params, rebuild);
+bindRange("perfRows", "perfRows", params, rebuild);
+bindRange("perfFrom", "perfFrom", params, rebuild, v => Number(v).toFixed(2));
+bindRange("perfTo", "perfTo", params, rebuild, v => Number(v).toFixed(2));
+fillSelect("decorKind", DECORATION_KINDS, params.decorKind);
+// A new kind starts blank, except text, which bakes what is typed
+bindSelect("decorKind", "decorKind", params, () => {
+  if (params.decorKind === "text") bakeDecorText();
+  else {
+    params.decorMap = null;
+    rebuild();
+  }
+});
+bindText("decorText", "decorText", params);
+document.getElementById("decorText")?.addEventListener("input", bakeDecorText);
+bindSelect("decorFont", "decorFont", params, bakeDecorText);
+const decorFile = document.getElementById("decorFile");
+document.getElementById("decorChoose")?.addEventListener("click", () => {
+  if (!decorFile) return;
+  decorFile.accept = params.decorKind === "svg" ? ".svg,image/svg+xml" : "image/*";
+  decorFile.click();
+});
+decorFile?.addEventListener("change", async () => {
+  const file = decorFile.files?.[0];
+  decorFile.value = "";
+  if (!file) return;
+  try {
+    params.decorMap = await imageFileMap(file, params.decorKind);
+    rebuild();
+    undoHistory.commit("decorMap");
+  } catch (err) {
+    showWarnings([err.message]);
+  }
+});
+fillSelect("decorMode", DECORATION_MODES, params.decorMode);
+bindSelect("decorMode", "decorMode", params, rebuild);
+bindRange("decorDepth", "decorDepth", params, rebuild, fmtMm);
+bindRange("decorSize", "decorSize", params, rebuild, v => Math.round(v));
+bindRange("decorV", "decorV", params, rebuild, v => Number(v).toFixed(2));
+bindRange("decorAngleDeg", "decorAngleDeg", params, rebuild, fmtDeg);
+bindRange("decorRepeat", "decorRepeat", params, rebuild);
+fillSelect("filament", Object.entries(FILAMENTS).map(([value, f]) => ({ value, label: filamentLabel(f) })), params.filament);
+bindSelect("filament", "filament", params, () => filamentChanged(true));
+fillSelect("customFilamentLook", FILAMENT_LOOKS, params.customFilamentLook);
+bindSelect("customFilamentLook", "customFilamentLook", params, () => filamentChanged(true));
+bindText("customFilamentColor", "customFilamentColor", params);
+document.getElementById("customFilamentColor")?.addEventListener("input", () => filamentChanged(true));
+bindRange("customFilamentDensity", "customFilamentDensity", params, () => filamentChanged(false), v => Number(v).toFixed(2));
+bindRange("customFilamentPrice", "customFilamentPrice", params, () => filamentChanged(false), v => Number(v).toFixed(1));
+bindRange("customFilamentTransmission", "customFilamentTransmission", params, () => filamentChanged(true), v => Number(v).toFixed(2));
+bindRange("customFilamentTg", "customFilamentTg", params, () => filamentChanged(true), v => Math.round(v) + " °C");
+bindCheck("roomMode", "enabled", roomView, () => {
+  room.setEnabled(roomView.enabled);
+  placeSconceWall();
+  lightRoom();
+});
+bindRange("bulbLumens", "bulbLumens", params, lightRoom, v => Math.round(v) + " lm");
+bindRange("roomTransmission", "transmission", roomView, lightRoom, v => Number(v).toFixed(2));
+bindRange("luxDistance", "distance", roomView, showLux, v => Number(v).toFixed(1) + " m");
 bindSelect("res", "res", params, rebuild);
 
-// ---- STL download ----
-document.getElementById("downloadSTL")?.addEventListener("click", () => {
-  if (!group) return;
-  const stl = exporter.parse(group);
+fillSelect("printer", Object.entries(PRINTERS).map(([value, pr]) => ({ value, label: pr.label })), params.printer);
+bindSelect("printer", "printer", params, rebuild);
+bindRange("customBuildX", "customBuildX", params, rebuild);
+bindRange("customBuildY", "customBuildY", params, rebuild);
+bindRange("customBuildZ", "customBuildZ", params, rebuild);
+bindRange("customNozzle", "customNozzle", params, rebuild, v => Number(v).toFixed(2));
+bindRange("customOverhangDeg", "customOverhangDeg", params, rebuild, fmtDeg);
+
+// ---- STL download (print solid only: no bulb, cable or socket) ----
+document.getElementById("downloadSTL")?.addEventListener("click", async () => {
+  if (!confirmHeatSafe("STL") || !await confirmPrintable("STL")) return;
+  let geo;
+  try {
+    geo = await geometryClient.request("printBody", params, { capH: CAP_H });
+  } catch (err) {
+    showWarnings(["STL export failed: " + err.message]);
+    return;
+  }
+  if (!geo) return;
+  if (geo.body) downloadStl(geo.body, "organic_lamp.stl");
+  const parts = Object.keys(geo).filter(key => /^part\d+$/.test(key));
+  parts.forEach((key, k) => downloadStl(geo[key], `organic_lamp_part${k + 1}of${parts.length}.stl`));
+  // The retaining ring is a separate print
+  if (geo.ring) downloadStl(geo.ring, `organic_lamp_${params.fitting}_ring.stl`);
+});
+
+// ---- 3MF (threemf.js): print parts and cap, filament colour, the design and a plate thumbnail ----
+document.getElementById("download3mf")?.addEventListener("click", async () => {
+  if (!confirmHeatSafe("3MF") || !await confirmPrintable("3MF")) return;
+  let geo;
+  try {
+    geo = await geometryClient.request("printBody", params, { capH: CAP_H, separateCap: true });
+  } catch (err) {
+    showWarnings(["3MF export failed: " + err.message]);
+    return;
+  }
+  if (!geo) return;
+  const solids = geo.body ? [geo.body] : Object.keys(geo).filter(key => /^part\d+$/.test(key)).map(key => geo[key]);
+  const objects = lampObjects(params, solids, { cap: geo.cap, ring: geo.ring });
+  const bytes = build3mf(objects, {
+    design: serializeDesign(params),
+    filament: getFilament(params),
+    build: getPrinter(params).build,
+    thumbnail: await capturePng(512),
+    appVersion: window.APP_VERSION
+  });
+  for (const { geometry } of objects) geometry.dispose();
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([bytes], { type: "model/3mf" }));
+  a.download = "organic_lamp.3mf";
+  a.click();
+});
+
+// ---- Technical drawing (drawing.js), built on the main thread: it only samples radii ----
+const drawingView = { sections: "" };   // section heights as typed, view-only
+bindText("drawingSections", "sections", drawingView);
+
+function downloadDrawing(format) {
+  const sheet = buildDrawing(params, { capH: CAP_H, sections: drawingView.sections });
+  const blob = format === "pdf"
+    ? new Blob([drawingToPdf(sheet)], { type: "application/pdf" })
+    : new Blob([drawingToSvg(sheet)], { type: "image/svg+xml" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `organic_lamp_drawing.${format}`;
+  a.click();
+}
+document.getElementById("downloadSvg")?.addEventListener("click", () => downloadDrawing("svg"));
+document.getElementById("downloadPdf")?.addEventListener("click", () => downloadDrawing("pdf"));
+
+function downloadStl(geometry, filename) {
+  const mesh = new THREE.Mesh(geometry);
+  const stl = exporter.parse(mesh, { binary: true });
+  geometry.dispose();
   const blob = new Blob([stl], { type: "application/sla" });
   const a = document.createElement("a");
   a.href = URL.createObjectURL(blob);
-  a.download = "organic_lamp.stl";
+  a.download = filename;
   a.click();
+}
+
+// ---- Vase-mode G-code (gcode.js, built in the worker) ----
+const gcodeStatus = document.getElementById("gcodeStatus");
+const noRebuild = () => {};   // print settings don't change the preview, only the time estimate
+
+bindRange("gcodeLayerH", "gcodeLayerH", params, showEstimate, v => Number(v).toFixed(2));
+bindRange("gcodeLineWidth", "gcodeLineWidth", params, showEstimate, v => Number(v).toFixed(2));
+bindRange("gcodeNozzleTemp", "gcodeNozzleTemp", params, noRebuild);
+bindRange("gcodeBedTemp", "gcodeBedTemp", params, noRebuild);
+bindRange("gcodeSpeed", "gcodeSpeed", params, showEstimate);
+bindSelect("gcodeFilament", "gcodeFilament", params, noRebuild, Number);
+bindText("gcodeStart", "gcodeStart", params);
+bindText("gcodeEnd", "gcodeEnd", params);
+
+function showGcodeProgress({ done, total }) {
+  if (gcodeStatus) gcodeStatus.textContent = `Generating… ${Math.round(done / total * 100)}%`;
+}
+
+document.getElementById("downloadGcode")?.addEventListener("click", async () => {
+  if (!confirmHeatSafe("G-code") || !await confirmPrintable("G-code")) return;
+  gcodeStatus?.classList.remove("error");
+  let result;
+  try {
+    result = await geometryClient.request("gcode", params, { capH: CAP_H, appVersion: window.APP_VERSION });
+  } catch (err) {
+    if (gcodeStatus) {
+      gcodeStatus.textContent = "G-code failed: " + err.message;
+      gcodeStatus.classList.add("error");
+    }
+    return;
+  }
+  if (!result) return;
+  const { text, seconds, filamentMm, grams } = result.gcode;
+  if (gcodeStatus) {
+    gcodeStatus.textContent = `About ${formatDuration(seconds)}, ` +
+      `${(filamentMm / 1000).toFixed(1)} m / ${grams.toFixed(0)} g of filament.`;
+  }
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([text], { type: "text/x-gcode" }));
+  a.download = "organic_lamp.gcode";
+  a.click();
+});
+
+// ---- Renders and turntables (shots.js): the live scene at any size, view-only ----
+const shotView = {
+  size: SHOT_SIZES[0].value, preset: "current", lighting: "studio", transparent: false, hideGrid: true,
+  frames: 72, degrees: 360, format: "png"
+};
+const shots = createShots({ renderer, scene, camera, target: controls.target });
+const shotStatus = document.getElementById("shotStatus");
+let shooting = false;
+
+fillSelect("shotSize", SHOT_SIZES, shotView.size);
+fillSelect("shotCamera", CAMERA_PRESETS, shotView.preset);
+fillSelect("turntableFormat", [
+  { value: "png", label: "PNG frames (zip)" },
+  { value: "webm", label: `WebM video (${TURNTABLE_FPS} fps)` }
+], shotView.format);
+bindSelect("shotSize", "size", shotView, noRebuild);
+bindSelect("shotCamera", "preset", shotView, noRebuild);
+bindSelect("shotLighting", "lighting", shotView, noRebuild);
+bindCheck("shotTransparent", "transparent", shotView, noRebuild);
+bindCheck("shotHideGrid", "hideGrid", shotView, noRebuild);
+bindRange("turntableFrames", "frames", shotView, noRebuild);
+bindRange("turntableDegrees", "degrees", shotView, noRebuild, fmtDeg);
+bindSelect("turntableFormat", "format", shotView, noRebuild);
+
+function reportShot(msg, isError = false) {
+  if (!shotStatus) return;
+  shotStatus.textContent = msg;
+  shotStatus.classList.toggle("error", isError);
+}
+
+// Run `make` with the shot's lighting and grid, then put the live view back.
+// Night shots wait for the lit room's light simulation.
+async function withShotScene(make) {
+  const night = shotView.lighting === "night";
+  const wasNight = room.enabled;
+  const gridShown = grid.visible;
+  try {
+    if (night !== wasNight) {
+      room.setEnabled(night);
+      placeSconceWall();
+    }
+    if (night) {
+      reportShot("Working out the light…");
+      for (let job = lightRoom(); ; job = emissionJob) {
+        await job;
+        if (job === emissionJob) break;
+      }
+      if (!emission) throw new Error("the light simulation failed.");
+    }
+    if (shotView.hideGrid) grid.visible = false;
+    return await make();
+  } finally {
+    if (night !== wasNight) {
+      room.setEnabled(wasNight);
+      placeSconceWall();
+      lightRoom();
+    }
+    grid.visible = gridShown;
+  }
+}
+
+async function exportShot(what, make, filename, type) {
+  if (shooting) return;
+  if (!shown || shown.draft) {
+    reportShot("Wait for the full-quality preview, then try again.", true);
+    return;
+  }
+  shooting = true;
+  reportShot(`Rendering ${what}…`);
+  try {
+    const data = await withShotScene(make);
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type }));
+    a.download = filename;
+    a.click();
+    reportShot(`${what[0].toUpperCase() + what.slice(1)} saved.`);
+  } catch (err) {
+    reportShot(`Could not render the ${what}: ${err.message}`, true);
+  } finally {
+    shooting = false;
+  }
+}
+
+function shotOptions() {
+  return { ...parseShotSize(shotView.size), ...shotView };
+}
+
+const showShotProgress = ({ label, done, total }) => reportShot(`${label}… ${done}/${total}`);
+
+document.getElementById("downloadRender")?.addEventListener("click", () =>
+  exportShot("image", () => shots.still(shotOptions()), "organic_lamp_render.png", "image/png"));
+document.getElementById("downloadTurntable")?.addEventListener("click", () => shotView.format === "webm"
+  ? exportShot("turntable", () => shots.turntableWebm(shotOptions(), showShotProgress), "organic_lamp_turntable.webm", "video/webm")
+  : exportShot("turntable", () => shots.turntablePngs(shotOptions(), showShotProgress), "organic_lamp_turntable.zip", "application/zip"));
+
+// ---- Variation gallery (variations.js): seeded mutations, pick one to evolve ----
+const VARIATION_COUNT = 9;
+const variationView = { seed: String(randomSeed()), strength: 0.25 };   // view-only
+const variationLocks = new Set();
+let thumbnails = null;     // createThumbnailRenderer, made on the first gallery
+let galleryRun = 0;        // newest generateVariations call; older ones stop drawing
+
+bindText("variationSeed", "seed", variationView);
+bindRange("variationStrength", "strength", variationView, () => {}, v => Math.round(v * 100) + "%");
+
+document.getElementById("variationLocks")?.replaceChildren(...VARIATION_KEYS.map(({ key, label }) => {
+  const row = document.createElement("label");
+  row.className = "check";
+  const box = document.createElement("input");
+  box.type = "checkbox";
+  box.addEventListener("change", () => {
+    if (box.checked) variationLocks.add(key);
+    else variationLocks.delete(key);
+  });
+  const text = document.createElement("span");
+  text.textContent = label;
+  row.append(box, text);
+  return row;
+}));
+
+function gallerySeed() {
+  const seed = Number(variationView.seed.trim());
+  return Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32 ? seed : null;
+}
+
+// Fill the grid for the current seed, one thumbnail per frame so the page stays responsive.
+async function generateVariations() {
+  const seed = gallerySeed();
+  const info = document.getElementById("variationInfo");
+  if (seed === null) {
+    if (info) info.textContent = "The seed must be a whole number from 0 to 4294967295.";
+    return;
+  }
+  const run = ++galleryRun;
+  const gallery = variationGallery(params, {
+    seed, count: VARIATION_COUNT, locked: [...variationLocks], strength: variationView.strength
+  });
+  const grid = document.getElementById("variationGrid");
+  if (!grid) return;
+  if (info) info.textContent = `Gallery ${seed}: pick a variation to make it the new design and grow the next gallery from it.`;
+  const images = gallery.map(({ seed: own, params: p }) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "thumb";
+    b.title = VARIATION_KEYS.map(({ key, label }) => `${label} ${p[key]}`).join(", ");
+    const img = document.createElement("img");
+    img.alt = `Variation ${own}`;
+    b.appendChild(img);
+    b.addEventListener("click", () => pickVariation(own, p));
+    return { b, img, p };
+  });
+  grid.replaceChildren(...images.map(({ b }) => b));
+
+  thumbnails ??= createThumbnailRenderer({ width: 160, height: 200 });
+  for (const { img, p } of images) {
+    await new Promise(requestAnimationFrame);
+    if (run !== galleryRun) return;
+    img.src = thumbnails.render(p);
+  }
+}
+
+// The picked variation becomes the design (one undo step) and seeds the next gallery.
+function pickVariation(seed, p) {
+  for (const { key } of VARIATION_KEYS) params[key] = p[key];
+  syncControls(params);
+  rebuild();
+  undoHistory.commit();
+  variationView.seed = String(seed);
+  syncControls(variationView);
+  generateVariations();
+}
+
+document.getElementById("variationGenerate")?.addEventListener("click", generateVariations);
+document.getElementById("variationNewSeed")?.addEventListener("click", () => {
+  variationView.seed = String(randomSeed());
+  syncControls(variationView);
+  generateVariations();
+});
+
+// ---- Designs: files, named presets, share links ----
+const designStatus = document.getElementById("designStatus");
+
+function reportDesign(msg, isError = false) {
+  if (!designStatus) return;
+  designStatus.textContent = msg;
+  designStatus.classList.toggle("error", isError);
+}
+
+// Push a validated params set (design.js) into params, the sidebar and the scene.
+function loadDesign(values) {
+  applyDesign(params, values);
+  refreshPatternControls();
+  syncControls(params);
+  rebuild();
+}
+
+function refreshPresetList(selected) {
+  fillSelect("presetList", listPresets().map(name => ({ value: name, label: name })), selected);
+}
+refreshPresetList();
+
+document.getElementById("saveDesign")?.addEventListener("click", () => {
+  downloadDesign(params);
+  reportDesign("Design file saved.");
+});
+
+const designFile = document.getElementById("designFile");
+document.getElementById("openDesign")?.addEventListener("click", () => designFile?.click());
+designFile?.addEventListener("change", async () => {
+  const file = designFile.files?.[0];
+  designFile.value = "";
+  if (!file) return;
+  try {
+    loadDesign(await readDesignFile(file));
+    undoHistory.commit();
+    reportDesign(`Loaded ${file.name}.`);
+  } catch (err) {
+    reportDesign(err.message, true);
+  }
+});
+
+document.getElementById("shareDesign")?.addEventListener("click", async () => {
+  try {
+    const url = await shareLink(params);
+    history.replaceState(null, "", url);
+    await navigator.clipboard?.writeText(url);
+    reportDesign("Share link copied to the clipboard.");
+  } catch (err) {
+    reportDesign("Could not copy the link: " + err.message, true);
+  }
+});
+
+document.getElementById("savePreset")?.addEventListener("click", () => {
+  const name = document.getElementById("presetName")?.value.trim();
+  if (!name) { reportDesign("Enter a name for the preset.", true); return; }
+  savePreset(name, params);
+  refreshPresetList(name);
+  reportDesign(`Preset "${name}" saved.`);
+});
+
+document.getElementById("loadPreset")?.addEventListener("click", () => {
+  const name = document.getElementById("presetList")?.value;
+  if (!name) return;
+  try {
+    loadDesign(loadPreset(name));
+    undoHistory.commit();
+    reportDesign(`Preset "${name}" loaded.`);
+  } catch (err) {
+    reportDesign(err.message, true);
+  }
+});
+
+document.getElementById("deletePreset")?.addEventListener("click", () => {
+  const name = document.getElementById("presetList")?.value;
+  if (!name) return;
+  deletePreset(name);
+  refreshPresetList();
+  reportDesign(`Preset "${name}" deleted.`);
+});
+
+async function loadFromHash() {
+  try {
+    const values = await designFromHash(location.hash);
+    if (!values) return;
+    loadDesign(values);
+    undoHistory.commit();
+    reportDesign("Loaded the shared design.");
+  } catch (err) {
+    reportDesign(err.message, true);
+  }
+}
+window.addEventListener("hashchange", loadFromHash);
+
+// ---- Undo / redo history with thumbnails ----
+const thumbCanvas = document.createElement("canvas");
+thumbCanvas.width = 96;
+thumbCanvas.height = 72;
+
+// Small JPEG of the current view (rendered now, so the WebGL buffer is valid).
+function captureThumb() {
+  renderer.render(scene, camera);
+  const src = renderer.domElement;
+  const ctx = thumbCanvas.getContext("2d");
+  const s = Math.max(thumbCanvas.width / src.width, thumbCanvas.height / src.height);
+  const w = src.width * s, h = src.height * s;
+  ctx.fillStyle = "#0e1116";
+  ctx.fillRect(0, 0, thumbCanvas.width, thumbCanvas.height);
+  ctx.drawImage(src, (thumbCanvas.width - w) / 2, (thumbCanvas.height - h) / 2, w, h);
+  return thumbCanvas.toDataURL("image/jpeg", 0.75);
+}
+
+// Square PNG of the current view, for file thumbnails (the 3MF plate preview).
+async function capturePng(size) {
+  renderer.render(scene, camera);
+  const src = renderer.domElement;
+  const out = document.createElement("canvas");
+  out.width = out.height = size;
+  const ctx = out.getContext("2d");
+  const s = Math.max(size / src.width, size / src.height);
+  const w = src.width * s, h = src.height * s;
+  ctx.fillStyle = "#0e1116";
+  ctx.fillRect(0, 0, size, size);
+  ctx.drawImage(src, (size - w) / 2, (size - h) / 2, w, h);
+  const blob = await new Promise(resolve => out.toBlob(resolve, "image/png"));
+  return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+}
+
+function renderHistoryUI(h) {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  if (undoBtn) undoBtn.disabled = !h.canUndo;
+  if (redoBtn) redoBtn.disabled = !h.canRedo;
+
+  const strip = document.getElementById("historyStrip");
+  if (!strip) return;
+  strip.replaceChildren(...h.steps.map((step, i) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "thumb" + (i === h.index ? " current" : "");
+    b.title = `Step ${i + 1}`;
+    const img = document.createElement("img");
+    if (step.thumb) img.src = step.thumb;
+    img.alt = "";
+    b.appendChild(img);
+    b.addEventListener("click", () => h.jump(i));
+    return b;
+  }));
+  strip.querySelector(".current")?.scrollIntoView({ block: "nearest", inline: "nearest" });
+}
+
+const undoHistory = createHistory({
+  capture: () => {
+    const values = serializeDesign(params).params;
+    const same = lastFinal && JSON.stringify(lastFinal.values) === JSON.stringify(values);
+    return { values, thumb: same ? lastFinal.thumb : null };
+  },
+  restore: values => loadDesign(values),
+  onChange: renderHistoryUI
+});
+
+onCommit(id => undoHistory.commit(id));
+onCommit(() => { clearTimeout(refineTimer); requestPreview(false); });
+document.getElementById("undoBtn")?.addEventListener("click", () => undoHistory.undo());
+document.getElementById("redoBtn")?.addEventListener("click", () => undoHistory.redo());
+
+window.addEventListener("keydown", e => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.matches?.("input[type=text], textarea")) return;   // keep native text undo
+  const k = e.key.toLowerCase();
+  if (k === "z" && !e.shiftKey) { e.preventDefault(); undoHistory.undo(); }
+  else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); undoHistory.redo(); }
 });
 
 // ---- Render loop ----
@@ -228,3 +1362,5 @@ function animate() {
 
 rebuild();
 animate();
+undoHistory.commit();
+loadFromHash();
@@ -1,15 +1,16 @@
 import * as THREE from "three";
 
-export function makeMaterial(finish) {
+// Preview material for a filament entry (filaments.js getFilament): its
+// colour, with the surface of its look.
+export function makeMaterial(filament) {
   const glossy = { clearcoat:1.0, clearcoatRoughness:0.04, roughness:0.12, envMapIntensity:1.3, side:THREE.DoubleSide };
   let opts;
-  switch (finish) {
-    case "translucent_white": opts = { color:0xffffff, transmission:0.55, thickness:3.0, metalness:0.0 }; break;
-    case "bronze":            opts = { color:0x8c6a3f, metalness:1.0, roughness:0.22 }; break;
-    case "silver":            opts = { color:0xcfd3d8, metalness:1.0, roughness:0.12 }; break;
-    case "gold":              opts = { color:0xd4af37, metalness:1.0, roughness:0.18 }; break;
-    case "opaque_white":
-    default:                  opts = { color:0xf5f7fb, metalness:0.0 }; break;
+  switch (filament.look) {
+    case "translucent": opts = { transmission:filament.transmission, thickness:3.0, metalness:0.0 }; break;
+    case "silk":        opts = { metalness:1.0, roughness:0.18 }; break;
+    case "matte":       opts = { metalness:0.0, roughness:0.85, clearcoat:0 }; break;
+    case "gloss":
+    default:            opts = { metalness:0.0 }; break;
   }
-  return new THREE.MeshPhysicalMaterial(Object.assign({}, glossy, opts));
+  return new THREE.MeshPhysicalMaterial(Object.assign({}, glossy, { color:new THREE.Color(filament.color) }, opts));
 }
@@ -1,15 +1,91 @@
+import { patternDefaults, listPatterns } from "./patterns.js";
+import { presetPoints, PROFILE_PRESETS, PROFILE_S_MIN, PROFILE_S_MAX } from "./profile.js";
+import { PRINTERS, getPrinter, printerLimits, SAFETY_MM } from "./printers.js";
+import { maxOuterRadius } from "./geometry.js";
+import { FILAMENTS, FILAMENT_LOOKS } from "./filaments.js";
+import { DEFAULT_START_GCODE, DEFAULT_END_GCODE } from "./gcode.js";
+import { FITTINGS } from "./fittings.js";
+import { PERF_SHAPES, PERF_LAYOUTS } from "./perforations.js";
+import { BULB_TYPES } from "./thermal.js";
+import { DECORATION_KINDS, DECORATION_MODES, decorationRelief, validateMap } from "./decoration.js";
+
 export const params = {
   height: 230,
   rbase: 90,
   topscale: 0.70,
+  profilePreset: "classic",
+  profile: presetPoints("classic"),
   waves: 18,
   amp: 0.22,
   twist: 420,
-  ripdir: "vertical",
-  finish: "opaque_white",
+  pattern: "vertical",
+  ...patternDefaults(),
+  filament: "generic_pla_white",   // filaments.js library
+  customFilamentColor: "#d9d4c7",
+  customFilamentLook: "gloss",
+  customFilamentDensity: 1.24,     // g/cm³
+  customFilamentPrice: 20,         // per kg
+  customFilamentTransmission: 0.2,
+  customFilamentTg: 60,            // °C, glass transition
   res: "med",
+  printer: "bambu_x1",
+  customBuildX: 220,
+  customBuildY: 220,
+  customBuildZ: 250,
+  customNozzle: 0.4,
+  customOverhangDeg: 45,
   wallFixed: 0.7,
-  mount: "standing",
+  mount: "hanging",
+  fitting: "e27",         // fittings.js catalogue
+  fittingRing: false,     // also print the retaining ring / bayonet collar
+  bulbType: "led",        // heat check (thermal.js); type and watts follow the fitting
+  bulbWatts: 9,
+  bulbLumens: 800,        // lit-room preview and lux readings (lighting.js)
+  capVents: false,        // hanging lamps: vent holes in the top cap (thermal.js)
+  segmented: false,       // split lamps taller than the printer into parts (printbody.js)
+  jointH: 10,             // mm, spigot length into the next part
+  jointClearance: 0.25,   // mm, radial play between spigot and wall
+
+  // Wall sconce (sconce.js): flat back against the wall
+  sconceAngleDeg: 0,      // °, direction of the wall seen from the lamp axis
+  sconceGap: 10,          // mm between the bulb tip and the front of the shade
+  sconceFittingZ: 0.5,    // height fraction of the fitting hole through the back plate
+  sconceBack: 4,          // mm, back plate thickness
+  sconceChannel: 7,       // mm, cable groove width (0 = none)
+  keyholeHead: 9,         // mm, screw head Ø
+  keyholeShank: 4.5,      // mm, screw shank Ø (slot width)
+
+  // Text, logo or image on the wall (decoration.js)
+  decorKind: "none",      // "none" | "text" | "svg" | "image"
+  decorText: "",
+  decorFont: "sans-serif",
+  decorMap: null,         // baked height map { w, h, data (base64) }, from the app
+  decorMode: "raised",    // "raised" | "engraved"
+  decorDepth: 1.2,        // mm, radial relief at full height
+  decorSize: 40,          // mm, decoration height on the wall
+  decorV: 0.5,            // height fraction of its centre
+  decorAngleDeg: 0,       // °, angle of its centre around the lamp
+  decorRepeat: 1,         // copies evenly around the lamp
+
+  // Holes through the wall (perforations.js)
+  perfShape: "none",      // "none" | "round" | "slot" | "star"
+  perfLayout: "bands",    // "bands" | "crests"
+  perfSize: 8,            // mm, hole height in the bottom row
+  perfGrade: 1,           // top row size ÷ bottom row size
+  perfCount: 16,          // holes per band (crests: one per crest)
+  perfRows: 5,
+  perfFrom: 0.25,         // height fraction of the perforated zone
+  perfTo: 0.75,
+
+  // Vase-mode G-code (gcode.js)
+  gcodeLayerH: 0.2,       // mm
+  gcodeLineWidth: 0.5,    // mm, also the printed wall thickness
+  gcodeNozzleTemp: 210,   // °C
+  gcodeBedTemp: 60,       // °C
+  gcodeSpeed: 30,         // mm/s
+  gcodeFilament: 1.75,    // mm
+  gcodeStart: DEFAULT_START_GCODE,
+  gcodeEnd: DEFAULT_END_GCODE,
 
   // NEW: slot tuning (standing only)
   slotAngleDeg: 90,     // direction, degrees
@@ -23,15 +99,175 @@ export const params = {
   slotDebug: false
 };
 
-export function clampForBambu(p) {
-  const MAX_RBASE = 64;
-  if (p.rbase > MAX_RBASE) p.rbase = MAX_RBASE;
-
-  const safety = 6;
-  const maxHalf = 128 - safety;
-  const bellyMax = 1 + 0.18;
-  const scaleMax = Math.max(1, p.topscale);
-  const radialLimit = maxHalf / ((1 + Math.max(0, p.amp)) * bellyMax * scaleMax);
-  if (p.rbase > radialLimit) p.rbase = radialLimit;
-  if (p.height > 256 - safety) p.height = 256 - safety;
+const DEFAULTS = structuredClone(params);
+
+/** Fresh copy of the default design. */
+export function defaultParams() {
+  return structuredClone(DEFAULTS);
+}
+
+// ---- Schema: every persistable field with its type and valid range ----
+// Ranges are a little wider than the sliders so clamped values still load.
+const num = (min, max, integer = false) => ({ type: "number", min, max, integer });
+const oneOf = values => ({ type: "enum", values });
+const bool = { type: "boolean" };
+const text = maxLength => ({ type: "text", maxLength });
+const color = { type: "color" };
+
+export const PARAM_SCHEMA = {
+  height: num(50, 1000),
+  rbase: num(10, 250),
+  topscale: num(0.4, 1.2),
+  profilePreset: oneOf([...Object.keys(PROFILE_PRESETS), "custom"]),
+  profile: { type: "profile" },
+  waves: num(6, 40, true),
+  amp: num(0, 0.35),
+  twist: num(0, 900),
+  pattern: oneOf(listPatterns().map(pt => pt.id)),
+  ...Object.fromEntries(listPatterns().flatMap(pt => pt.params.map(d => [d.key, num(d.min, d.max)]))),
+  filament: oneOf(Object.keys(FILAMENTS)),
+  customFilamentColor: color,
+  customFilamentLook: oneOf(FILAMENT_LOOKS.map(l => l.value)),
+  customFilamentDensity: num(0.8, 2.5),
+  customFilamentPrice: num(0, 500),
+  customFilamentTransmission: num(0, 0.9),
+  customFilamentTg: num(40, 250),
+  res: oneOf(["low", "med", "high"]),
+  printer: oneOf(Object.keys(PRINTERS)),
+  customBuildX: num(100, 500),
+  customBuildY: num(100, 500),
+  customBuildZ: num(100, 500),
+  customNozzle: num(0.2, 1.0),
+  customOverhangDeg: num(30, 70),
+  wallFixed: num(0.3, 3),
+  mount: oneOf(["hanging", "standing", "sconce"]),
+  fitting: oneOf(Object.keys(FITTINGS)),
+  fittingRing: bool,
+  bulbType: oneOf(Object.keys(BULB_TYPES)),
+  bulbWatts: num(1, 200),
+  bulbLumens: num(50, 5000),
+  capVents: bool,
+  segmented: bool,
+  jointH: num(4, 30),
+  jointClearance: num(0.05, 1),
+  sconceAngleDeg: num(0, 360),
+  sconceGap: num(5, 150),
+  sconceFittingZ: num(0.15, 0.85),
+  sconceBack: num(2, 10),
+  sconceChannel: num(0, 15),
+  keyholeHead: num(5, 16),
+  keyholeShank: num(2.5, 8),
+  perfShape: oneOf(Object.keys(PERF_SHAPES)),
+  perfLayout: oneOf(PERF_LAYOUTS.map(l => l.value)),
+  perfSize: num(2, 40),
+  perfGrade: num(0.3, 2),
+  perfCount: num(3, 72, true),
+  perfRows: num(1, 30, true),
+  perfFrom: num(0, 1),
+  perfTo: num(0, 1),
+  decorKind: oneOf(DECORATION_KINDS.map(k => k.value)),
+  decorText: text(60),
+  decorFont: oneOf(["sans-serif", "serif", "monospace"]),
+  decorMap: { type: "heightmap" },
+  decorMode: oneOf(DECORATION_MODES.map(m => m.value)),
+  decorDepth: num(0.2, 4),
+  decorSize: num(5, 400),
+  decorV: num(0, 1),
+  decorAngleDeg: num(0, 360),
+  decorRepeat: num(1, 12, true),
+  gcodeLayerH: num(0.05, 0.6),
+  gcodeLineWidth: num(0.2, 1.5),
+  gcodeNozzleTemp: num(150, 320, true),
+  gcodeBedTemp: num(0, 130, true),
+  gcodeSpeed: num(5, 200),
+  gcodeFilament: num(1.5, 3.0),
+  gcodeStart: text(4000),
+  gcodeEnd: text(4000),
+  slotAngleDeg: num(0, 360),
+  slotWidth: num(2, 20),
+  slotLength: num(0, 80),
+  slotOvershoot: num(0, 10),
+  slotOffset: num(-5, 10),
+  slotRollDeg: num(-90, 90),
+  slotMouthDeg: num(-90, 90),
+  slotTiltDeg: num(-45, 45),
+  slotDebug: bool
+};
+
+/** Problems with a (partial) params object; empty when every field is known and in range. */
+export function validateParams(values) {
+  const problems = [];
+  for (const [key, v] of Object.entries(values)) {
+    const rule = PARAM_SCHEMA[key];
+    if (!rule) { problems.push(`Unknown field "${key}".`); continue; }
+    switch (rule.type) {
+      case "number":
+        if (typeof v !== "number" || !Number.isFinite(v)) problems.push(`"${key}" must be a number.`);
+        else if (v < rule.min || v > rule.max) problems.push(`"${key}" = ${v} is outside ${rule.min}…${rule.max}.`);
+        else if (rule.integer && !Number.isInteger(v)) problems.push(`"${key}" must be a whole number.`);
+        break;
+      case "enum":
+        if (!rule.values.includes(v)) problems.push(`"${key}" = ${JSON.stringify(v)} is not one of ${rule.values.join(", ")}.`);
+        break;
+      case "boolean":
+        if (typeof v !== "boolean") problems.push(`"${key}" must be true or false.`);
+        break;
+      case "text":
+        if (typeof v !== "string") problems.push(`"${key}" must be text.`);
+        else if (v.length > rule.maxLength) problems.push(`"${key}" is longer than ${rule.maxLength} characters.`);
+        break;
+      case "color":
+        if (typeof v !== "string" || !/^#[0-9a-f]{6}$/i.test(v)) problems.push(`"${key}" must be a colour like #aabbcc.`);
+        break;
+      case "profile":
+        problems.push(...validateProfile(key, v));
+        break;
+      case "heightmap":
+        problems.push(...validateMap(key, v));
+        break;
+    }
+  }
+  return problems;
+}
+
+function validateProfile(key, pts) {
+  if (!Array.isArray(pts) || pts.length < 2 || pts.length > 32) return [`"${key}" must list 2–32 points.`];
+  const bad = pts.some((pt, i) => !Array.isArray(pt) || pt.length !== 2 ||
+    !pt.every(Number.isFinite) || pt[1] < PROFILE_S_MIN || pt[1] > PROFILE_S_MAX ||
+    (i > 0 && pt[0] <= pts[i - 1][0]));
+  if (bad) return [`"${key}" points must be [height, radius] pairs, rising in height, radius ${PROFILE_S_MIN}…${PROFILE_S_MAX}.`];
+  if (pts[0][0] !== 0 || pts[pts.length - 1][0] !== 1) return [`"${key}" must start at height 0 and end at 1.`];
+  return [];
+}
+
+/**
+ * Fit the design into the selected printer's build volume. Height is checked
+ * against the Z limit (unless the lamp is segmented into parts); radius
+ * against the widest point of the actual sampled surface (silhouette ×
+ * pattern + decoration), scaling rbase down when needed; a raised
+ * decoration keeps its depth, so only the shell beneath it scales.
+ * Mutates `p` and returns one human-readable warning per clamped value.
+ */
+export function clampToPrinter(p) {
+  const printer = getPrinter(p);
+  const { maxHeight, maxRadius } = printerLimits(printer);
+  const warnings = [];
+
+  if (p.height > maxHeight && !p.segmented) {
+    warnings.push(`Height limited to ${maxHeight} mm (asked ${Math.round(p.height)} mm): ` +
+      `the ${printer.label} builds up to ${printer.build.z} mm, minus ${SAFETY_MM} mm clearance.`);
+    p.height = maxHeight;
+  }
+
+  const extent = maxOuterRadius(p);
+  if (extent > maxRadius) {
+    const asked = p.rbase;
+    const relief = decorationRelief(p);
+    const shell = relief ? maxOuterRadius({ ...p, decorKind: "none" }) : extent;
+    p.rbase = Math.floor(p.rbase * ((maxRadius - relief) / shell) * 10) / 10;
+    warnings.push(`Base radius limited to ${p.rbase} mm (asked ${Math.round(asked)} mm): ` +
+      `the widest fold would reach ${extent.toFixed(0)} mm from the axis, ` +
+      `the ${printer.label} bed allows ${maxRadius} mm.`);
+  }
+  return warnings;
 }
@@ -0,0 +1,166 @@
+// src/patterns.js
+// Surface pattern registry. A pattern maps surface coordinates (v: 0 bottom →
+// 1 top, ang: radians around Z) to a radius factor that multiplies the base
+// silhouette. Keep factors within [1 - amp, 1 + amp] so the printer clamp can
+// reason about the extent from `amp` alone.
+//
+// Each pattern declares the params it reads beyond the common sliders:
+//   params: [{ key, label, min, max, step, default }]
+//   uses:   which common sliders ("waves", "amp", "twist") it responds to
+
+const registry = new Map();
+
+export function registerPattern(id, def) {
+  registry.set(id, { id, params: [], uses: ["waves", "amp", "twist"], ...def });
+}
+
+export function getPattern(id) {
+  return registry.get(id) ?? registry.get("vertical");
+}
+
+export function listPatterns() {
+  return [...registry.values()];
+}
+
+/** Defaults for every declared pattern param, for seeding `params`. */
+export function patternDefaults() {
+  const out = {};
+  for (const pat of registry.values()) {
+    for (const d of pat.params) out[d.key] = d.default;
+  }
+  return out;
+}
+
+export function patternFactor(p, v, ang) {
+  return getPattern(p.pattern).radius(v, ang, p);
+}
+
+/* ---------------- Helpers ---------------- */
+
+const TAU = Math.PI * 2;
+const deg = d => d * Math.PI / 180;
+const fract = x => x - Math.floor(x);
+const tri = x => 1 - 4 * Math.abs(fract(x) - 0.5);          // triangle wave in [-1, 1]
+const smooth = t => t * t * (3 - 2 * t);
+
+// Integer hash → [0, 1). Deterministic for a given seed.
+function hash3(x, y, seed) {
+  let h = Math.imul(x | 0, 374761393) ^ Math.imul(y | 0, 668265263) ^ Math.imul(seed | 0, 2147483647);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+const wrap = (i, n) => ((i % n) + n) % n;
+
+// Value noise on a grid that wraps every `period` cells in x (around the lamp).
+function valueNoise(x, y, period, seed) {
+  const ix = Math.floor(x), iy = Math.floor(y);
+  const fx = smooth(x - ix), fy = smooth(y - iy);
+  const x0 = wrap(ix, period), x1 = wrap(ix + 1, period);
+  const a = hash3(x0, iy, seed), b = hash3(x1, iy, seed);
+  const c = hash3(x0, iy + 1, seed), d = hash3(x1, iy + 1, seed);
+  return (a + (b - a) * fx) + ((c + (d - c) * fx) - (a + (b - a) * fx)) * fy;
+}
+
+/* ---------------- Built-in patterns ---------------- */
+
+registerPattern("vertical", {
+  label: "Vertical folds (around)",
+  radius: (v, ang, p) => 1 + p.amp * Math.sin(p.waves * ang + deg(p.twist) * v)
+});
+
+registerPattern("horizontal", {
+  label: "Horizontal rings (stacked)",
+  uses: ["waves", "amp"],
+  radius: (v, ang, p) => 1 + p.amp * Math.sin((p.waves * TAU) * v + 1.5 * ang)
+});
+
+registerPattern("diamond", {
+  label: "Diamond lattice",
+  params: [
+    { key: "diamondRows", label: "Lattice rows", min: 2, max: 30, step: 1, default: 8 }
+  ],
+  radius: (v, ang, p) => {
+    const u = (p.waves * ang) / TAU + deg(p.twist) * v / TAU;
+    return 1 + p.amp * 0.5 * (tri(u + p.diamondRows * v) + tri(u - p.diamondRows * v));
+  }
+});
+
+registerPattern("spiral", {
+  label: "Spiral helix",
+  params: [
+    { key: "spiralTurns", label: "Turns over height", min: -6, max: 6, step: 0.25, default: 2 },
+    { key: "spiralSharp", label: "Ridge sharpness", min: 0.2, max: 3, step: 0.05, default: 1 }
+  ],
+  uses: ["waves", "amp"],
+  radius: (v, ang, p) => {
+    const s = Math.sin(p.waves * ang + p.spiralTurns * TAU * v);
+    return 1 + p.amp * Math.sign(s) * Math.pow(Math.abs(s), p.spiralSharp);
+  }
+});
+
+registerPattern("facets", {
+  label: "Faceted polygon",
+  params: [
+    { key: "facetSides", label: "Sides", min: 3, max: 16, step: 1, default: 6 }
+  ],
+  uses: ["amp", "twist"],
+  radius: (v, ang, p) => {
+    const n = Math.max(3, Math.round(p.facetSides));
+    const seg = TAU / n;
+    const c = Math.cos(Math.PI / n);
+    const a = fract((ang + deg(p.twist) * v) / seg) * seg - seg / 2;
+    const poly = c / Math.cos(a);                           // flat side at c, corner at 1
+    return 1 + p.amp * (2 * (poly - c) / (1 - c) - 1);
+  }
+});
+
+registerPattern("voronoi", {
+  label: "Voronoi cells",
+  params: [
+    { key: "voronoiCells", label: "Cells around", min: 3, max: 24, step: 1, default: 9 },
+    { key: "voronoiRows", label: "Cell rows", min: 1, max: 20, step: 1, default: 6 },
+    { key: "voronoiSeed", label: "Seed", min: 1, max: 999, step: 1, default: 7 }
+  ],
+  uses: ["amp", "twist"],
+  radius: (v, ang, p) => {
+    const nx = Math.round(p.voronoiCells), ny = Math.round(p.voronoiRows);
+    const x = fract((ang + deg(p.twist) * v) / TAU) * nx, y = v * ny;
+    const cx = Math.floor(x), cy = Math.floor(y);
+    let f1 = Infinity, f2 = Infinity;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const gx = cx + dx, gy = cy + dy;
+        const px = gx + hash3(wrap(gx, nx), gy, p.voronoiSeed);
+        const py = gy + hash3(wrap(gx, nx), gy, p.voronoiSeed + 101);
+        const d = Math.hypot(x - px, y - py);
+        if (d < f1) { f2 = f1; f1 = d; } else if (d < f2) f2 = d;
+      }
+    }
+    // Raised cells, grooves along the borders (F2 - F1 → 0)
+    const edge = smooth(Math.min(1, (f2 - f1) * 2.5));
+    return 1 + p.amp * (2 * edge - 1);
+  }
+});
+
+registerPattern("noise", {
+  label: "Smooth noise",
+  params: [
+    { key: "noiseScale", label: "Scale", min: 1, max: 16, step: 1, default: 5 },
+    { key: "noiseOctaves", label: "Octaves", min: 1, max: 5, step: 1, default: 3 },
+    { key: "noiseSeed", label: "Seed", min: 1, max: 999, step: 1, default: 42 }
+  ],
+  uses: ["amp", "twist"],
+  radius: (v, ang, p) => {
+    const u = fract((ang + deg(p.twist) * v) / TAU);
+    let sum = 0, norm = 0, amp = 1, freq = Math.round(p.noiseScale);
+    for (let o = 0; o < Math.round(p.noiseOctaves); o++) {
+      sum += amp * valueNoise(u * freq, v * freq, freq, p.noiseSeed + o * 31);
+      norm += amp;
+      amp *= 0.5;
+      freq *= 2;
+    }
+    return 1 + p.amp * (2 * sum / norm - 1);
+  }
+});
@@ -0,0 +1,177 @@
+// src/perforations.js
+// Holes through the lamp wall, laid out in the (v, ang) surface coordinates of
+// buildSurface and cut into the print body's sweep (sweepholes.js).
+import * as THREE from "three";
+import { outerRadiusAt } from "./geometry.js";
+import { printOuterRadiusAt, printInnerRadiusAt, withoutBackHoles } from "./sconce.js";
+
+const TAU = Math.PI * 2;
+const ROUND_SEG = 16;      // outline points of a round hole
+const CREST_SAMPLES = 720; // angular samples when looking for crests
+const EDGE_MM = 2;         // wall kept clear between holes and a cap or rim
+const MAX_BRIDGE_MM = 10;  // longest unsupported span across a hole top
+const MIN_WEB_LINES = 2;   // narrowest web between holes, in nozzle widths
+
+/**
+ * Hole shapes. `outline(s)` is the hole in the wall plane, s mm tall, as
+ * counter-clockwise [x, y] points around (0, 0): x along the wall, y up.
+ */
+export const PERF_SHAPES = {
+  none: { label: "None" },
+  round: {
+    label: "Round holes",
+    outline: s => arc(0, 0, s / 2, 0, TAU, ROUND_SEG)
+  },
+  slot: {
+    label: "Vertical slots",
+    outline: s => {
+      const r = s * 0.2, y = s / 2 - r;
+      return [...arc(0, -y, r, Math.PI, TAU, 6), ...arc(0, y, r, 0, Math.PI, 6)];
+    }
+  },
+  star: {
+    label: "Stars",
+    outline: s => Array.from({ length: 10 }, (_, i) => {
+      const r = (i % 2 ? 0.45 : 1) * s / 2, a = Math.PI / 2 + (i / 10) * TAU;
+      return [r * Math.cos(a), r * Math.sin(a)];
+    })
+  }
+};
+
+export const PERF_LAYOUTS = [
+  { value: "bands", label: "Staggered bands" },
+  { value: "crests", label: "Along the crests" }
+];
+
+// n + 1 points from a0 to a1 (the last one dropped when the arc closes)
+function arc(cx, cy, r, a0, a1, n) {
+  const pts = Array.from({ length: n + 1 }, (_, i) => {
+    const a = a0 + (a1 - a0) * i / n;
+    return [cx + r * Math.cos(a), cy + r * Math.sin(a)];
+  });
+  return a1 - a0 >= TAU ? pts.slice(0, n) : pts;
+}
+
+export function hasPerforations(p) {
+  return p.perfShape in PERF_SHAPES && p.perfShape !== "none";
+}
+
+/**
+ * Rows of holes, bottom up: { v, z (mm), size, outline, width, height,
+ * angles }. Row sizes grade linearly from perfSize at the bottom row to
+ * perfSize × perfGrade at the top. Holes that would reach into a cap
+ * (capH at either end) or a joint ({ z, h }: spigot band around z) are
+ * left out.
+ */
+export function perforationLayout(p, { capH = 5, joints = [] } = {}) {
+  if (!hasPerforations(p)) return [];
+  const shape = PERF_SHAPES[p.perfShape];
+  const from = Math.min(p.perfFrom, p.perfTo), to = Math.max(p.perfFrom, p.perfTo);
+  const zMin = capH + EDGE_MM, zMax = p.height - capH - EDGE_MM;
+
+  const rows = [];
+  for (let k = 0; k < p.perfRows; k++) {
+    const t = p.perfRows > 1 ? k / (p.perfRows - 1) : 0;
+    const v = from + (to - from) * (k + 0.5) / p.perfRows;
+    const z = v * p.height;
+    const size = p.perfSize * (1 + (p.perfGrade - 1) * t);
+    const outline = shape.outline(size);
+    const xs = outline.map(pt => pt[0]), ys = outline.map(pt => pt[1]);
+    const width = Math.max(...xs) - Math.min(...xs), height = Math.max(...ys) - Math.min(...ys);
+
+    if (z - height / 2 < zMin || z + height / 2 > zMax) continue;
+    if (joints.some(j => z + height / 2 > j.z - j.h - EDGE_MM && z - height / 2 < j.z + j.h + EDGE_MM)) continue;
+
+    const angles = p.perfLayout === "crests"
+      ? crestAngles(p, v)
+      : Array.from({ length: p.perfCount }, (_, i) => ((i + (k % 2) * 0.5) / p.perfCount) * TAU);
+    rows.push({ v, z, size, outline, width, height, angles });
+  }
+  return rows;
+}
+
+// Angles where the wall bulges out furthest (local maxima of the radius) at v.
+function crestAngles(p, v) {
+  const r = Array.from({ length: CREST_SAMPLES }, (_, i) => outerRadiusAt(p, v, (i / CREST_SAMPLES) * TAU));
+  const out = [];
+  for (let i = 0; i < CREST_SAMPLES; i++) {
+    const prev = r[(i + CREST_SAMPLES - 1) % CREST_SAMPLES], next = r[(i + 1) % CREST_SAMPLES];
+    if (r[i] > prev && r[i] >= next) out.push((i / CREST_SAMPLES) * TAU);
+  }
+  return out;
+}
+
+/**
+ * Openings (sweepholes.js) for the holes in `rows` (perforationLayout): each
+ * outline wrapped onto the outer and the inner wall around its angle, at the
+ * printed radius of that wall at the hole's centre, so the hole runs
+ * straight through.
+ */
+export function perforationOpenings(p, rows) {
+  return rows.flatMap(row => row.angles.map(ang => {
+    const wrap = r => row.outline.map(([x, y]) => [ang + Math.atan2(x, r), row.z + y]);
+    return {
+      front: { face: "outer", outline: wrap(printOuterRadiusAt(p, row.v, ang)) },
+      back: { face: "inner", outline: wrap(printInnerRadiusAt(p, row.v, ang)) }
+    };
+  }));
+}
+
+/**
+ * Holes that will not print cleanly, in the problem format of
+ * printability.js: hole tops that span more than MAX_BRIDGE_MM without
+ * support (edges leaning past the printer's overhang limit), and webs
+ * between neighbouring holes narrower than MIN_WEB_LINES nozzle widths,
+ * measured on the printed inner wall where they are narrowest.
+ * `flipped`: printed upside down, so hole tops and bottoms swap. `capH` and
+ * `joints` as for perforationLayout, so these are the holes the print body
+ * gets.
+ */
+export function perforationProblems(p, printer, { flipped = false, capH = 5, joints = [] } = {}) {
+  const rows = withoutBackHoles(p, perforationLayout(p, { capH, joints }));
+  const minWeb = MIN_WEB_LINES * printer.nozzle;
+  const bridge = [], web = [];
+
+  rows.forEach((row, k) => {
+    const range = { from: row.z - row.height / 2, to: row.z + row.height / 2 };
+    // Mirroring y reverses the winding, so walk the points backwards too
+    const outline = flipped ? row.outline.map(([x, y]) => [x, -y]).reverse() : row.outline;
+    const span = bridgeSpan(outline, printer.maxOverhangDeg);
+    if (span > MAX_BRIDGE_MM) bridge.push({ ...range, worst: span });
+
+    let gap = Infinity;
+    if (row.angles.length > 1) {
+      row.angles.forEach((ang, i) => {
+        const next = row.angles[i + 1] ?? row.angles[0] + TAU;
+        gap = Math.min(gap, (next - ang) * printInnerRadiusAt(p, row.v, (ang + next) / 2) - row.width);
+      });
+    }
+    const next = rows[k + 1];
+    if (next) gap = Math.min(gap, next.z - row.z - (row.height + next.height) / 2);
+    if (gap < minWeb) web.push({ ...range, worst: gap });
+  });
+
+  const merge = (list, kind, limit, pick) => list.length ? [{
+    kind, limit,
+    from: Math.min(...list.map(r => r.from)),
+    to: Math.max(...list.map(r => r.to)),
+    worst: pick(...list.map(r => r.worst))
+  }] : [];
+  return [...merge(bridge, "bridge", MAX_BRIDGE_MM, Math.max), ...merge(web, "web", +minWeb.toFixed(2), Math.min)];
+}
+
+// Widest horizontal run of hole-top edges flatter than the overhang limit.
+function bridgeSpan(outline, maxOverhangDeg) {
+  const flattest = THREE.MathUtils.degToRad(90 - maxOverhangDeg);
+  let widest = 0, run = 0;
+  // Two laps so a run through the first point is counted whole
+  for (let i = 0; i < outline.length * 2; i++) {
+    const [x0, y0] = outline[i % outline.length], [x1, y1] = outline[(i + 1) % outline.length];
+    const dx = x1 - x0, dy = y1 - y0;
+    // Counter-clockwise: the hole is left of the edge, so a ceiling runs in -x
+    if (dx < 0 && Math.atan2(Math.abs(dy), -dx) < flattest) run += -dx;
+    else run = 0;
+    widest = Math.max(widest, run);
+  }
+  return widest;
+}
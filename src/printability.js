@@ -0,0 +1,169 @@
+// src/printability.js
+// Vase-mode printability of the preview surface: overhang from the preview's
+// own normals, fold sharpness from the analytic cross-section.
+import * as THREE from "three";
+import { outerRadiusAt, segmentsFor } from "./geometry.js";
+import { getPrinter } from "./printers.js";
+import { perforationProblems } from "./perforations.js";
+import { partJoints } from "./printbody.js";
+import { wallHeat } from "./thermal.js";
+
+export const ANALYSIS_VIEWS = [
+  { value: "off", label: "Off (filament colour)" },
+  { value: "overhang", label: "Overhang angle" },
+  { value: "folds", label: "Fold sharpness" },
+  { value: "heat", label: "Heat from the bulb" }
+];
+
+const WARN_AT = 0.8;   // fraction of a limit where colours turn from green to yellow
+const MERGE_GAP = 0.05; // problem ranges closer than this fraction of the height are merged
+
+/**
+ * Printed orientation, as in gcode.js: hanging lamps print upside down so
+ * their cap is on the bed.
+ */
+function printsFlipped(p) {
+  return p.mount !== "standing";
+}
+
+// Curvature of the horizontal cross-section r(ang) at height v (1/mm).
+function foldCurvature(p, v, ang, h) {
+  const r0 = outerRadiusAt(p, v, ang);
+  const rm = outerRadiusAt(p, v, ang - h), rp = outerRadiusAt(p, v, ang + h);
+  const d1 = (rp - rm) / (2 * h), d2 = (rp - 2 * r0 + rm) / (h * h);
+  return Math.abs(r0 * r0 + 2 * d1 * d1 - r0 * d2) / Math.pow(r0 * r0 + d1 * d1, 1.5);
+}
+
+/**
+ * Per-vertex analysis of a buildSurface geometry (non-indexed, facet normals):
+ *  overhang[i]  degrees from vertical the surface leans over empty space
+ *  folds[i]     nozzle width × curvature (≥ 1: the fold is tighter than a bead)
+ *  heat[i]      wall temperature towards the filament's limit (thermal.js wallHeat)
+ * the same overhang and folds per surface grid point in `grid` (analysisOnMesh),
+ * plus `problems`, height ranges (mm, lamp coordinates) over the printer
+ * limits, including holes that won't print (perforations.js) among those
+ * the print body gets with caps `capH` mm tall.
+ */
+export function analyzePrintability(p, geo, { capH = 5 } = {}) {
+  const printer = getPrinter(p);
+  const { radialSeg, heightSeg } = segmentsFor(p.res);
+  const pos = geo.attributes.position.array;
+  const nrm = geo.attributes.normal.array;
+  const count = pos.length / 3;
+  const down = printsFlipped(p) ? 1 : -1;
+  const h = Math.PI / (radialSeg * 8);
+
+  // Fold curvature on the surface grid, shared by the six vertices around it
+  const grid = new Float32Array(radialSeg * (heightSeg + 1));
+  for (let j = 0; j <= heightSeg; j++) {
+    for (let i = 0; i < radialSeg; i++) {
+      grid[j * radialSeg + i] = printer.nozzle * foldCurvature(p, j / heightSeg, (i / radialSeg) * 2 * Math.PI + 1e-4, h);
+    }
+  }
+
+  const overhang = new Float32Array(count);
+  const folds = new Float32Array(count);
+  const gridOverhang = new Float32Array(grid.length);
+  const rowOverhang = new Float32Array(heightSeg);
+  const rowFolds = new Float32Array(heightSeg);
+  for (let k = 0; k < count; k++) {
+    const x = pos[k * 3], y = pos[k * 3 + 1], z = pos[k * 3 + 2];
+    const node = gridNode(p, x, y, z);
+    // buildSurface winds its triangles inward; a star-shaped wall's outward
+    // normal always has a positive radial component, so orient by that
+    const nz = nrm[k * 3] * x + nrm[k * 3 + 1] * y < 0 ? -nrm[k * 3 + 2] : nrm[k * 3 + 2];
+    overhang[k] = THREE.MathUtils.radToDeg(Math.asin(Math.min(1, Math.max(0, down * nz))));
+    folds[k] = grid[node];
+    gridOverhang[node] = Math.max(gridOverhang[node], overhang[k]);
+
+    // Triangles come in rows; vertex k belongs to row floor(k / (radialSeg * 6))
+    const row = Math.floor(k / (radialSeg * 6));
+    rowOverhang[row] = Math.max(rowOverhang[row], overhang[k]);
+    rowFolds[row] = Math.max(rowFolds[row], folds[k]);
+  }
+
+  const rowZ = j => (j / heightSeg) * p.height;
+  const gap = MERGE_GAP * p.height;
+  const problems = [
+    ...problemRanges(rowOverhang, printer.maxOverhangDeg, rowZ, gap).map(r => ({ kind: "overhang", limit: printer.maxOverhangDeg, ...r })),
+    ...problemRanges(rowFolds, 1, rowZ, gap).map(r => ({ kind: "folds", limit: printer.nozzle, ...r, worst: printer.nozzle / r.worst })),
+    ...perforationProblems(p, printer, { flipped: printsFlipped(p), capH, joints: partJoints(p) })
+  ];
+  return {
+    overhang, folds, heat: wallHeat(p, geo),
+    limits: { overhang: printer.maxOverhangDeg, folds: 1, heat: 1 },
+    grid: { overhang: gridOverhang, folds: grid },
+    problems
+  };
+}
+
+/**
+ * `analysis` (analyzePrintability) carried onto another mesh of the same
+ * lamp, such as a print part, for applyAnalysisColors: each vertex takes the
+ * overhang and folds of the surface grid point at its height and angle, and
+ * its own heat.
+ */
+export function analysisOnMesh(p, analysis, geo) {
+  const pos = geo.attributes.position.array;
+  const count = pos.length / 3;
+  const overhang = new Float32Array(count);
+  const folds = new Float32Array(count);
+  for (let k = 0; k < count; k++) {
+    const node = gridNode(p, pos[k * 3], pos[k * 3 + 1], pos[k * 3 + 2]);
+    overhang[k] = analysis.grid.overhang[node];
+    folds[k] = analysis.grid.folds[node];
+  }
+  return { ...analysis, overhang, folds, heat: wallHeat(p, geo) };
+}
+
+// Index of the surface grid point (row j, column i) nearest to x, y, z.
+function gridNode(p, x, y, z) {
+  const { radialSeg, heightSeg } = segmentsFor(p.res);
+  const j = Math.min(heightSeg, Math.max(0, Math.round((z / p.height) * heightSeg)));
+  const i = ((Math.round((Math.atan2(y, x) / (2 * Math.PI)) * radialSeg) % radialSeg) + radialSeg) % radialSeg;
+  return j * radialSeg + i;
+}
+
+// Rows over `limit` as height ranges { from, to (mm), worst }, bridging gaps < `gap` mm.
+function problemRanges(rows, limit, rowZ, gap) {
+  const out = [];
+  rows.forEach((value, j) => {
+    if (value <= limit) return;
+    const last = out[out.length - 1];
+    if (last && rowZ(j) - last.to < gap) {
+      last.to = rowZ(j + 1);
+      last.worst = Math.max(last.worst, value);
+    } else {
+      out.push({ from: rowZ(j), to: rowZ(j + 1), worst: value });
+    }
+  });
+  return out;
+}
+
+/** One line per problem, for the sidebar list and the export warning. */
+export function describeProblem(pr) {
+  const at = `at ${Math.round(pr.from)}–${Math.round(pr.to)} mm`;
+  switch (pr.kind) {
+    case "overhang": return `Overhang up to ${Math.round(pr.worst)}° (printer limit ${pr.limit}°) ${at}`;
+    case "folds": return `Folds as tight as ${pr.worst.toFixed(2)} mm radius (nozzle ${pr.limit} mm) ${at}`;
+    case "bridge": return `Hole tops bridge up to ${pr.worst.toFixed(1)} mm unsupported (limit ${pr.limit} mm) ${at}`;
+    default: return `Webs between holes down to ${pr.worst.toFixed(2)} mm (need ${pr.limit} mm) ${at}`;
+  }
+}
+
+/** Vertex colours for `view` ("overhang" | "folds" | "heat"): green → yellow at 80 % of the limit → red over it. */
+export function applyAnalysisColors(geo, analysis, view) {
+  const values = analysis[view];
+  const limit = analysis.limits[view];
+  const colors = new Float32Array(values.length * 3);
+  const ok = new THREE.Color(0x2faa5f), warn = new THREE.Color(0xf2c233), bad = new THREE.Color(0xd8342c);
+  const c = new THREE.Color();
+  for (let k = 0; k < values.length; k++) {
+    const f = values[k] / limit;
+    if (f <= WARN_AT) c.copy(ok).lerp(warn, f / WARN_AT);
+    else if (f <= 1) c.copy(warn).lerp(bad, (f - WARN_AT) / (1 - WARN_AT) * 0.5);
+    else c.copy(bad);
+    colors.set([c.r, c.g, c.b], k * 3);
+  }
+  geo.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+}
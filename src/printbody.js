@@ -0,0 +1,373 @@
+// src/printbody.js
+import * as THREE from "three";
+import { segmentsFor, runSteps } from "./geometry.js";
+import { slotOptionsFromParams } from "./caps.js";
+import { getPrinter, printerLimits } from "./printers.js";
+import { perforationLayout, perforationOpenings } from "./perforations.js";
+import { cutOpenings } from "./sweepholes.js";
+import { ventLayout, ventOpening, hasCapVents } from "./thermal.js";
+import { isSconce, sconceLayout, keyholeOpenings, fittingOpening, capHoleR, grooveAngles, withoutBackHoles, printOuterRadiusAt, printInnerRadiusAt } from "./sconce.js";
+
+const EPS = 1e-4;
+const MIN_LAND = 1.0;   // mm of cap material kept between the hole and the wall
+const JOINT_WALL = 1.2; // mm, spigot band thickness
+const CREASE_GAP = 1e-5; // rad, either side of a crease
+const CAP_FIT = 0.995;   // separate cap: share of the bore it fills, as caps.js
+
+/**
+ * Closed, manifold print solid: outer wall + inner wall (offset by wallFixed),
+ * joined to the mount cap in one piece. Preview-only objects (bulb, cable,
+ * socket) are never part of it.
+ *
+ * The solid is a sweep of one closed (r, z) cross-section loop around Z. Every
+ * column has the same number of loop points, so neighbouring columns stitch
+ * into quads; where the cable slot removes material, points collapse onto
+ * their neighbours and the resulting zero-area triangles are dropped. That
+ * keeps the mesh watertight and welded by construction (no CSG seams).
+ * A sconce's flat back and cable groove come the same way: every loop point
+ * is clamped to the back plate (sconce.js printOuterRadiusAt /
+ * printInnerRadiusAt). Perforations, cap vents, and a sconce's fitting hole
+ * and keyholes are cut into the loop's walls and cap faces (sweepholes.js),
+ * which keeps it closed too.
+ *
+ * Loop, counter-clockwise in (r, z) so the normals face outward:
+ *   hanging, sconce: outer wall ↑, top face → hole, hole wall ↓, cap underside → inner wall, inner wall ↓, bottom rim
+ *   (a sconce's cap has no hole: its top face and underside run to the axis)
+ *   standing: outer wall ↑, top rim, inner wall ↓, cap top → hole/slot, hole wall ↓, bottom face
+ *   without the cap (cap: false): outer wall ↑, top rim, inner wall ↓, bottom rim
+ *   segmented: spigot ↑↓ in place of the top rim and socket ↓ below the inner wall, as the parts need them
+ *
+ * The slot follows slotAngle/slotWidth/slotLength/slotOvershoot/slotOffset;
+ * roll, mouth and tilt only shape the preview cutter in caps.js.
+ *
+ * Returns indexed BufferGeometry.
+ */
+export function buildPrintBody(p, options) {
+  return buildPrintParts({ ...p, segmented: false }, options)[0].geometry;
+}
+
+/**
+ * The print body split into stacked parts that each fit the printer (see
+ * partBounds), as [{ geometry, z0, z1 }] from the bottom up. Every part but
+ * the top one carries a spigot: a band JOINT_WALL thick, jointH above the
+ * part's top and as deep again into its own wall. It rises straight up from
+ * the narrowest inner cross-section of the next part over the joint, minus
+ * jointClearance, so the next part slides down over it. That part's bore
+ * is straight at the same cross-section over the joint (its socket), so the
+ * spigot locates it all the way round.
+ * Unsegmented designs come back as one part.
+ */
+export function buildPrintParts(p, options) {
+  return runSteps(printPartsSteps(p, options));
+}
+
+/**
+ * buildPrintParts as a step generator, one step per part, like conformingCapSteps.
+ * With cap: false the parts leave the mount cap out (open where it would
+ * be) for buildPrintCap to fill as a separate object.
+ */
+export function* printPartsSteps(p, { capH = 5, holeR = capHoleR(p), cap = true } = {}) {
+  const bounds = partBounds(p);
+  const joints = partJoints(p);
+  const rows = withoutBackHoles(p, perforationLayout(p, { capH, joints }));
+  const { keyholes, fitting } = isSconce(p) ? sconceLayout(p, { joints, capH }) : { keyholes: [], fitting: null };
+  const parts = [];
+  for (const [k, [z0, z1]] of bounds.entries()) {
+    yield { label: "Print body", done: k, total: bounds.length };
+    const holes = perforationOpenings(p, rows.filter(row => row.z > z0 && row.z < z1));
+    if (cap && k === bounds.length - 1) holes.push(...capVentOpenings(p, capH, holeR));
+    holes.push(...keyholeOpenings(p, keyholes.filter(({ z }) => z > z0 && z < z1)));
+    if (fitting && fitting.z > z0 && fitting.z < z1) holes.push(fittingOpening(p, fitting));
+    const geometry = buildPart(p, { z0, z1, spigot: k < bounds.length - 1, socket: k > 0, cap }, capH, holeR, holes);
+    parts.push({ geometry, z0, z1 });
+  }
+  return parts;
+}
+
+/**
+ * The mount cap as a solid of its own, for parts built with cap: false: the
+ * ring between the fitting hole and the bore, capH thick, at the top of a
+ * hanging lamp or sconce and at the bottom of a standing one (with the cable
+ * slot cut out of it). It is CAP_FIT of the bore wide, so it slides in after
+ * printing. Vents are cut through it as through the welded cap.
+ * Returns indexed BufferGeometry.
+ */
+export function buildPrintCap(p, { capH = 5, holeR = capHoleR(p) } = {}) {
+  const { radialSeg } = segmentsFor(p.res);
+  const slot = p.mount === "standing" ? slotFootprint(p, holeR) : null;
+  const angles = columnAngles(radialSeg, slot, grooveAngles(p));
+  return sweepSolid(p, angles, angles.map(ang => capLoop(p, ang, capH, holeR, slot)), capVentOpenings(p, capH, holeR));
+}
+
+// Vents through the top cap, from its top face to its underside.
+function capVentOpenings(p, capH, holeR) {
+  const layout = hasCapVents(p) ? ventLayout(p, { capH, holeR }) : null;
+  return layout ? layout.vents.map(ventOpening) : [];
+}
+
+/** Joints between the parts (partBounds): { z, h }, a spigot band h deep on either side of z. */
+export function partJoints(p) {
+  return partBounds(p).slice(1).map(([z]) => ({ z, h: p.jointH }));
+}
+
+/**
+ * Edges of an indexed mesh that are not shared by exactly two triangles
+ * running opposite ways: 0 for a closed, consistently wound solid.
+ */
+export function openEdgeCount(geometry) {
+  const index = geometry.index.array, n = geometry.attributes.position.count;
+  const edges = new Map();
+  for (let t = 0; t < index.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const key = index[t + k] * n + index[t + (k + 1) % 3];
+      edges.set(key, (edges.get(key) ?? 0) + 1);
+    }
+  }
+  let open = 0;
+  for (const [key, count] of edges) {
+    const a = Math.floor(key / n), b = key % n;
+    if (count !== 1 || edges.get(b * n + a) !== 1) open++;
+  }
+  return open;
+}
+
+/**
+ * Why `parts` (buildPrintParts), the separate `cap` (buildPrintCap) or the
+ * fitting `ring` (fittingRingSteps), if any, must not be exported: any that
+ * is not closed. Null when all are.
+ */
+export function openPartsMessage(parts, { cap = null, ring = null } = {}) {
+  const open = parts.map(({ geometry }) => openEdgeCount(geometry));
+  const capOpen = cap ? openEdgeCount(cap) : 0;
+  const ringOpen = ring ? openEdgeCount(ring) : 0;
+  if (open.every(n => n === 0) && !capOpen && !ringOpen) return null;
+  const which = parts.length > 1
+    ? open.flatMap((n, k) => (n ? [`part ${k + 1} (${n} open edges)`] : []))
+    : open[0] ? [`the print body (${open[0]} open edges)`] : [];
+  if (capOpen) which.push(`the cap (${capOpen} open edges)`);
+  if (ringOpen) which.push(`the fitting ring (${ringOpen} open edges)`);
+  return `The mesh is not watertight: ${which.join(", ")}. Slicers would fill or drop its holes unpredictably.`;
+}
+
+/**
+ * Part boundaries [z0, z1] (mm). Equal parts, as few as fit: a part plus the
+ * spigot on top of it must stay within the printer's height limit.
+ */
+export function partBounds(p) {
+  const { maxHeight } = printerLimits(getPrinter(p));
+  if (!p.segmented || p.height <= maxHeight) return [[0, p.height]];
+  const count = Math.ceil(p.height / (maxHeight - p.jointH));
+  const h = p.height / count;
+  return Array.from({ length: count }, (_, k) => [k * h, (k + 1) * h]);
+}
+
+function buildPart(p, part, capH, holeR, openings = []) {
+  const { radialSeg, heightSeg } = segmentsFor(p.res);
+  const slot = p.mount === "standing" && part.z0 === 0 ? slotFootprint(p, holeR) : null;
+  const rows = dz => Math.max(2, Math.ceil(heightSeg * dz / p.height));
+
+  const angles = columnAngles(radialSeg, slot, grooveAngles(p));
+  return sweepSolid(p, angles, angles.map(ang => partLoop(p, ang, part, rows, capH, holeR, slot)), openings);
+}
+
+// Closed solid from one (r, z) loop per column angle, with `openings` cut
+// into the faces the loops name (loop.faces).
+function sweepSolid(p, angles, loops, openings) {
+  // --- Vertices (collapsed loop points share one index per column, points
+  // on the axis one for all columns: a sconce's cap without a hole) ---
+  const positions = [];
+  const poles = new Map();
+  const columns = loops.map((loop, c) => {
+    const ang = angles[c], ca = Math.cos(ang), sa = Math.sin(ang);
+    const seen = new Map();
+    return loop.map(([r, z]) => {
+      const key = r + "," + z, at = r === 0 ? poles : seen;
+      let idx = at.get(key);
+      if (idx === undefined) {
+        idx = positions.length / 3;
+        positions.push(r * ca, r * sa, z);
+        at.set(key, idx);
+      }
+      return idx;
+    });
+  });
+
+  // --- Openings: the cells they cross are re-triangulated (sweepholes.js) ---
+  const H = p.height;
+  const radius = { outer: printOuterRadiusAt, inner: printInnerRadiusAt };
+  const faces = Object.fromEntries(Object.entries(loops[0].faces).map(([name, face]) =>
+    [name, face.kind === "wall" ? { ...face, radius: (ang, z) => radius[name](p, z / H, ang) } : face]));
+  const { cells, tubes } = cutOpenings({ angles, loops, columns, positions }, faces, openings);
+
+  // --- Faces: stitch column c to column c+1 (wrapping both ways) ---
+  const K = columns[0].length;
+  const index = [];
+  const tri = (a, b, c) => { if (a !== b && b !== c && a !== c) index.push(a, b, c); };
+  for (let c = 0; c < columns.length; c++) {
+    const A = columns[c], B = columns[(c + 1) % columns.length];
+    for (let i = 0; i < K; i++) {
+      const cut = cells.get(c + ":" + i);
+      if (cut !== undefined) {
+        if (cut) for (const v of cut) index.push(v);
+        continue;
+      }
+      const i2 = (i + 1) % K;
+      tri(A[i], B[i], A[i2]);
+      tri(B[i], B[i2], A[i2]);
+    }
+  }
+  // Appended one by one: spreading tens of thousands of indices overflows the stack
+  for (const v of tubes) index.push(v);
+
+  // Corners of the cells inside holes are left unused; drop them
+  const used = new Map();
+  const kept = [];
+  const remapped = index.map(v => {
+    if (!used.has(v)) {
+      used.set(v, used.size);
+      kept.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+    }
+    return used.get(v);
+  });
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(kept, 3));
+  geo.setIndex(remapped);
+  geo.computeVertexNormals();
+  return geo;
+}
+
+/* ---------------- Cross-section loop ---------------- */
+
+// One column's loop for the part between z0 and z1. The point count depends
+// only on the part, never on `ang`, so all columns stitch together.
+function partLoop(p, ang, { z0, z1, spigot, socket, cap = true }, rows, capH, holeR, slot) {
+  const H = p.height;
+  const outer = z => [printOuterRadiusAt(p, z / H, ang), z];
+  const inner = (z, inset = 0) => [printInnerRadiusAt(p, z / H, ang) - inset, z];
+  const run = (from, to, at) => {
+    const n = rows(Math.abs(to - from));
+    return Array.from({ length: n + 1 }, (_, j) => at(from + (to - from) * j / n));
+  };
+  // Narrowest bore over the joint at z: the spigot below it and the socket
+  // above it are straight at this radius, so a twist or a flare never turns
+  // either into an undercut
+  const jointBore = z => Math.min(...run(z, z + p.jointH, zz => inner(zz)[0]));
+  const topCap = cap && p.mount !== "standing" && z1 === H;
+  const foot = p.mount === "standing" && z0 === 0;
+  const bottomCap = cap && foot;
+  const loop = [];
+  const faces = {};   // loop index ranges { from, to } that openings are cut into
+
+  // Standing foot: where the slot breaks through the wall, the wall below
+  // the cap top collapses into a notch (with or without the cap in it).
+  const { notch, rSlot, rInCap } = foot ? slotCut(p, ang, capH, holeR, slot) : {};
+  const rHole = bottomCap ? Math.min(rSlot, rInCap - MIN_LAND, printOuterRadiusAt(p, 0, ang) - MIN_LAND) : 0;
+  const notchOuter = outer(capH), notchInner = inner(capH);
+
+  loop.push(...run(z0, z1, z => notch && z < capH ? notchOuter : outer(z)));
+  faces.outer = { kind: "wall", from: 0, to: loop.length - 1 };
+
+  let innerTop = z1;
+  if (topCap) {
+    const r = Math.min(holeR, printInnerRadiusAt(p, (H - capH) / H, ang) - MIN_LAND, printOuterRadiusAt(p, 1, ang) - MIN_LAND);
+    faces.capTop = { kind: "plane", z: H, from: loop.length - 1, to: loop.length };
+    faces.capUnder = { kind: "plane", z: H - capH, from: loop.length + 1, to: loop.length + 2 };
+    loop.push([r, H], [r, H - capH]);
+    innerTop = H - capH;
+  } else if (spigot) {
+    const rOut = jointBore(z1) - p.jointClearance, rIn = rOut - JOINT_WALL;
+    loop.push(...run(z1, z1 + p.jointH, z => [rOut, z]));
+    loop.push(...run(z1 + p.jointH, z1 - p.jointH, z => [rIn, z]));
+    innerTop = z1 - p.jointH;
+  }
+
+  faces.inner = { kind: "wall", from: loop.length };
+  const innerBottom = bottomCap ? capH : socket ? z0 + p.jointH : z0;
+  loop.push(...run(innerTop, innerBottom, z => notch && z < capH ? notchInner : inner(z)));
+  faces.inner.to = loop.length - 1;
+
+  // Socket: the spigot of the part below slides into a straight bore
+  if (socket) {
+    const bore = jointBore(z0);
+    loop.push([bore, z0 + p.jointH], [bore, z0]);
+  }
+
+  if (bottomCap) {
+    if (notch) loop.push(notchInner, notchOuter);
+    else loop.push([rHole, capH], [rHole, 0]);
+  }
+  loop.faces = faces;
+  return loop;
+}
+
+// The separate cap's loop: the ring between the fitting hole (or the slot)
+// and the bore, CAP_FIT inside it over the cap's whole thickness. Where the
+// slot runs out through the wall there is no cap: the loop collapses to a
+// point.
+function capLoop(p, ang, capH, holeR, slot) {
+  const H = p.height;
+  const z0 = p.mount === "standing" ? 0 : H - capH, z1 = z0 + capH;
+  const rOut = Math.min(printInnerRadiusAt(p, z0 / H, ang), printInnerRadiusAt(p, z1 / H, ang)) * CAP_FIT;
+  const { notch, rSlot } = slot ? slotCut(p, ang, capH, holeR, slot) : { notch: false, rSlot: holeR };
+  const rHole = Math.min(rSlot, rOut - MIN_LAND);
+  const loop = notch ? Array(4).fill([rOut, z1]) : [[rHole, z0], [rOut, z0], [rOut, z1], [rHole, z1]];
+  loop.faces = {
+    capUnder: { kind: "plane", z: z0, from: 0, to: 1 },
+    capTop: { kind: "plane", z: z1, from: 2, to: 3 }
+  };
+  return loop;
+}
+
+// How far the slot reaches along `ang` in a standing cap (rSlot, at least
+// the fitting hole), and whether it breaks through the wall there (notch).
+function slotCut(p, ang, capH, holeR, slot) {
+  const rInCap = printInnerRadiusAt(p, capH / p.height, ang);
+  const rSlot = Math.max(holeR, slotReach(slot, ang));
+  return { notch: rSlot >= rInCap - MIN_LAND, rSlot, rInCap };
+}
+
+/* ---------------- Cable slot footprint (2D, cap plane) ---------------- */
+
+function slotFootprint(p, holeR) {
+  const o = slotOptionsFromParams(p);
+  const halfW = Math.max(0.5, o.slotWidth ?? 8) * 0.5;
+  const rMouth = Math.max(0.1, holeR + (o.slotOffset ?? 0));
+  const rAuto = printInnerRadiusAt(p, 0, o.slotAngle) * 0.995;
+  const rOuter = o.slotLength > 0 ? rMouth + o.slotLength : rAuto;
+  // The cutter cylinder runs halfW past its tip centre, so the footprint is a
+  // flat-ended strip from the mouth to rTip + halfW.
+  const rEnd = rOuter + halfW + (o.slotOvershoot ?? 1.0) + halfW;
+  return { theta: o.slotAngle, halfW, rEnd, spread: Math.asin(Math.min(1, halfW / holeR)) };
+}
+
+// Farthest radius along the ray at `ang` that lies inside the slot strip.
+function slotReach(slot, ang) {
+  if (!slot) return 0;
+  const d = Math.atan2(Math.sin(ang - slot.theta), Math.cos(ang - slot.theta));
+  const c = Math.cos(d), s = Math.abs(Math.sin(d));
+  if (c <= 0) return 0;
+  const side = s > 1e-9 ? slot.halfW / s : Infinity;
+  return Math.min(side, slot.rEnd / c);
+}
+
+// Uniform columns plus a denser fan across the slot so its sides stay
+// straight, and a column just either side of each crease (a sconce's cable
+// groove) so its sides stand square.
+function columnAngles(radialSeg, slot, creases = []) {
+  const step = (Math.PI * 2) / radialSeg;
+  const angles = [];
+  for (let i = 0; i < radialSeg; i++) angles.push(i * step + EPS);
+  const add = ang => {
+    const a = ang % (Math.PI * 2);
+    angles.push(a < EPS ? a + Math.PI * 2 : a);
+  };
+  if (slot) {
+    const fine = step / 4;
+    const n = Math.ceil(slot.spread / fine) + 1;
+    for (let k = -n; k <= n; k++) add(slot.theta + k * fine);
+  }
+  for (const a of creases) add(a - CREASE_GAP), add(a + CREASE_GAP);
+  angles.sort((a, b) => a - b);
+  return angles.filter((a, i) => i === 0 || a - angles[i - 1] > 1e-6);
+}
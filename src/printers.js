@@ -0,0 +1,62 @@
+// src/printers.js
+// Printer profiles: build volume (mm), nozzle (mm) and the steepest overhang
+// (degrees from vertical) the printer manages without support in vase mode.
+
+export const SAFETY_MM = 6;   // kept clear of each build-volume edge
+const MIN_HEIGHT = 120;       // mm, shortest lamp the height slider offers
+const MIN_RADIUS = 40;        // mm, smallest base radius the slider offers
+
+export const PRINTERS = {
+  bambu_x1: {
+    label: "Bambu Lab X1 / X1C",
+    build: { x: 256, y: 256, z: 256 }, nozzle: 0.4, maxOverhangDeg: 55
+  },
+  bambu_p1: {
+    label: "Bambu Lab P1P / P1S",
+    build: { x: 256, y: 256, z: 256 }, nozzle: 0.4, maxOverhangDeg: 55
+  },
+  bambu_a1mini: {
+    label: "Bambu Lab A1 mini",
+    build: { x: 180, y: 180, z: 180 }, nozzle: 0.4, maxOverhangDeg: 50
+  },
+  prusa_mk4: {
+    label: "Prusa MK4",
+    build: { x: 250, y: 210, z: 220 }, nozzle: 0.4, maxOverhangDeg: 50
+  },
+  ender3: {
+    label: "Creality Ender-3",
+    build: { x: 220, y: 220, z: 250 }, nozzle: 0.4, maxOverhangDeg: 45
+  },
+  custom: {
+    label: "Custom printer",
+    custom: true
+  }
+};
+
+/** Resolved profile for `p.printer`; "custom" reads the custom* params. */
+export function getPrinter(p) {
+  const base = PRINTERS[p.printer] ?? PRINTERS.bambu_x1;
+  if (!base.custom) return base;
+  return {
+    label: base.label,
+    build: { x: p.customBuildX, y: p.customBuildY, z: p.customBuildZ },
+    nozzle: p.customNozzle,
+    maxOverhangDeg: p.customOverhangDeg
+  };
+}
+
+/**
+ * Lamp height and distance from the axis for this printer: the largest that
+ * fit, and the smallest the sliders offer (MIN_HEIGHT / MIN_RADIUS, less on
+ * a printer too small for those).
+ */
+export function printerLimits(printer) {
+  const maxHeight = printer.build.z - SAFETY_MM;
+  const maxRadius = Math.min(printer.build.x, printer.build.y) / 2 - SAFETY_MM;
+  return {
+    minHeight: Math.min(MIN_HEIGHT, maxHeight),
+    maxHeight,
+    minRadius: Math.min(MIN_RADIUS, maxRadius),
+    maxRadius
+  };
+}
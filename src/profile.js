@@ -0,0 +1,82 @@
+// src/profile.js
+// Silhouette profile: radius multiplier against height, as spline control
+// points [t, s] (t: 0 bottom → 1 top, s: factor on the rbase → rbase·topscale
+// taper). The curve passes through every point (cubic Hermite with
+// Catmull-Rom tangents), so what you drag is what you get.
+
+// The original fixed belly: 18% bulge, exponent 1.4.
+const classicBelly = t => 1 + 0.18 * (1 - Math.pow(Math.abs(2 * t - 1), 1.4));
+
+// `curve`, where a preset has one, is its exact shape, used while its points
+// are left as they are: the spline through them would round off the classic
+// belly's point at mid-height, and designs from before the profile curve
+// load as classic.
+export const PROFILE_PRESETS = {
+  classic: {
+    label: "Classic belly",
+    curve: classicBelly,
+    points: [0, 0.125, 0.25, 0.375, 0.5, 0.625, 0.75, 0.875, 1].map(t => [t, +classicBelly(t).toFixed(4)])
+  },
+  bell: {
+    label: "Bell",
+    points: [[0, 1.3], [0.12, 1.05], [0.4, 0.92], [0.75, 0.95], [0.92, 0.85], [1, 0.6]]
+  },
+  cone: {
+    label: "Cone",
+    points: [[0, 1], [0.5, 1], [1, 1]]
+  },
+  hourglass: {
+    label: "Hourglass",
+    points: [[0, 1.15], [0.25, 0.88], [0.5, 0.72], [0.75, 0.88], [1, 1.15]]
+  },
+  gourd: {
+    label: "Gourd",
+    points: [[0, 0.9], [0.22, 1.2], [0.45, 0.86], [0.62, 0.8], [0.8, 1.0], [1, 0.75]]
+  }
+};
+
+export const PROFILE_S_MIN = 0.15;
+export const PROFILE_S_MAX = 2.0;
+
+export function presetPoints(id) {
+  return (PROFILE_PRESETS[id] ?? PROFILE_PRESETS.classic).points.map(pt => pt.slice());
+}
+
+/** Curve value at t for sorted control points. */
+export function profileAt(points, t) {
+  const n = points.length;
+  if (t <= points[0][0]) return points[0][1];
+  if (t >= points[n - 1][0]) return points[n - 1][1];
+
+  let i = 0;
+  while (i < n - 2 && t > points[i + 1][0]) i++;
+  const [t0, s0] = points[i], [t1, s1] = points[i + 1];
+  const h = t1 - t0;
+  const m0 = tangent(points, i) * h, m1 = tangent(points, i + 1) * h;
+  const x = (t - t0) / h, x2 = x * x, x3 = x2 * x;
+  const s = (2 * x3 - 3 * x2 + 1) * s0 + (x3 - 2 * x2 + x) * m0 + (-2 * x3 + 3 * x2) * s1 + (x3 - x2) * m1;
+  return Math.max(0.05, s);
+}
+
+function tangent(points, i) {
+  const a = points[Math.max(0, i - 1)], b = points[Math.min(points.length - 1, i + 1)];
+  return (b[1] - a[1]) / (b[0] - a[0]);
+}
+
+/** Taper (rbase → rbase·topscale) times the profile curve, as a factor on rbase. */
+export function silhouetteFactor(p, t) {
+  const preset = PROFILE_PRESETS[p.profilePreset];
+  const exact = preset?.curve && samePoints(p.profile, preset.points);
+  return (1 + (p.topscale - 1) * t) * (exact ? preset.curve(t) : profileAt(p.profile, t));
+}
+
+function samePoints(a, b) {
+  return a.length === b.length && a.every((pt, i) => pt[0] === b[i][0] && pt[1] === b[i][1]);
+}
+
+/** Largest silhouette factor over the height (sampled). */
+export function silhouetteMax(p, samples = 200) {
+  let m = 0;
+  for (let i = 0; i <= samples; i++) m = Math.max(m, silhouetteFactor(p, i / samples));
+  return m;
+}
@@ -0,0 +1,160 @@
+// src/profileEditor.js
+import { profileAt, silhouetteFactor, PROFILE_S_MIN, PROFILE_S_MAX } from "./profile.js";
+
+const PAD = 14;
+const HIT_R = 10;     // px, pointer pick radius
+const MIN_GAP = 0.03; // minimum t spacing between neighbouring points
+
+/**
+ * 2D silhouette editor on a <canvas>: height runs bottom → top, radius to the
+ * right of the lamp axis. The drawn curve is the effective outline (taper ×
+ * profile), so dragging a point moves the outline under the pointer.
+ *
+ *  drag point      move it (end points stay at the bottom / top)
+ *  double-click    add a point on empty space, remove an interior point
+ *
+ * `onChange()` fires on every edit and `onCommit()` once per finished edit
+ * (drag released, point added/removed); `params.profile` is updated in place.
+ */
+export function createProfileEditor(canvas, params, onChange, onCommit = () => {}) {
+  if (!canvas) return { redraw() {} };
+  const ctx = canvas.getContext("2d");
+  let dragIdx = -1;
+
+  const taper = t => 1 + (params.topscale - 1) * t;
+
+  function size() {
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    return { w, h };
+  }
+
+  // Effective radius factor ↔ px (x), height fraction ↔ px (y)
+  function toPx(t, r, w, h) {
+    return [PAD + (r / PROFILE_S_MAX) * (w - 2 * PAD), h - PAD - t * (h - 2 * PAD)];
+  }
+  function fromPx(x, y, w, h) {
+    return [(h - PAD - y) / (h - 2 * PAD), ((x - PAD) / (w - 2 * PAD)) * PROFILE_S_MAX];
+  }
+
+  function redraw() {
+    const { w, h } = size();
+    ctx.clearRect(0, 0, w, h);
+
+    // Grid: axis, rbase reference, quarter heights
+    ctx.strokeStyle = "#d9e0ea";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let q = 0; q <= 4; q++) {
+      const [, y] = toPx(q / 4, 0, w, h);
+      ctx.moveTo(PAD, y); ctx.lineTo(w - PAD, y);
+    }
+    const [x1] = toPx(0, 1, w, h);
+    ctx.moveTo(x1, PAD); ctx.lineTo(x1, h - PAD);
+    ctx.stroke();
+    ctx.strokeStyle = "#5b6b82";
+    ctx.beginPath();
+    ctx.moveTo(PAD, PAD); ctx.lineTo(PAD, h - PAD);
+    ctx.stroke();
+
+    // Outline
+    ctx.strokeStyle = "#2b6ef3";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i <= 120; i++) {
+      const t = i / 120;
+      const [x, y] = toPx(t, silhouetteFactor(params, t), w, h);
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+
+    // Control points
+    params.profile.forEach(([t, s], i) => {
+      const [x, y] = toPx(t, s * taper(t), w, h);
+      ctx.beginPath();
+      ctx.arc(x, y, i === dragIdx ? 6 : 5, 0, Math.PI * 2);
+      ctx.fillStyle = i === dragIdx ? "#1958d9" : "white";
+      ctx.fill();
+      ctx.strokeStyle = "#2b6ef3";
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    });
+  }
+
+  function pointer(e) {
+    const rect = canvas.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  }
+
+  function pick(x, y) {
+    const { w, h } = size();
+    let best = -1, bestD = HIT_R;
+    params.profile.forEach(([t, s], i) => {
+      const [px, py] = toPx(t, s * taper(t), w, h);
+      const d = Math.hypot(px - x, py - y);
+      if (d < bestD) { best = i; bestD = d; }
+    });
+    return best;
+  }
+
+  function moveTo(i, x, y) {
+    const { w, h } = size();
+    const pts = params.profile;
+    let [t, r] = fromPx(x, y, w, h);
+    if (i === 0) t = 0;
+    else if (i === pts.length - 1) t = 1;
+    else t = Math.min(pts[i + 1][0] - MIN_GAP, Math.max(pts[i - 1][0] + MIN_GAP, t));
+    const s = Math.min(PROFILE_S_MAX, Math.max(PROFILE_S_MIN, r / taper(t)));
+    pts[i] = [+t.toFixed(4), +s.toFixed(4)];
+  }
+
+  canvas.addEventListener("pointerdown", e => {
+    const [x, y] = pointer(e);
+    dragIdx = pick(x, y);
+    if (dragIdx < 0) return;
+    canvas.setPointerCapture(e.pointerId);
+    redraw();
+  });
+
+  canvas.addEventListener("pointermove", e => {
+    if (dragIdx < 0) return;
+    const [x, y] = pointer(e);
+    moveTo(dragIdx, x, y);
+    redraw();
+    onChange();
+  });
+
+  const endDrag = () => { if (dragIdx >= 0) { dragIdx = -1; redraw(); onCommit(); } };
+  canvas.addEventListener("pointerup", endDrag);
+  canvas.addEventListener("pointercancel", endDrag);
+
+  canvas.addEventListener("dblclick", e => {
+    const [x, y] = pointer(e);
+    const pts = params.profile;
+    const hit = pick(x, y);
+    if (hit > 0 && hit < pts.length - 1) {
+      pts.splice(hit, 1);
+    } else if (hit < 0) {
+      const { w, h } = size();
+      const [t] = fromPx(x, y, w, h);
+      if (t <= MIN_GAP || t >= 1 - MIN_GAP) return;
+      const at = pts.findIndex(pt => pt[0] > t);
+      if (pts[at][0] - t < MIN_GAP || t - pts[at - 1][0] < MIN_GAP) return;
+      pts.splice(at, 0, [+t.toFixed(4), +profileAt(pts, t).toFixed(4)]);
+    } else {
+      return;
+    }
+    redraw();
+    onChange();
+    onCommit();
+  });
+
+  window.addEventListener("resize", redraw, { passive: true });
+  redraw();
+  return { redraw };
+}
@@ -0,0 +1,178 @@
+// src/room.js
+// "Lit room" preview: the lamp alone in a plain room at night. Light that
+// leaves through the open end and the perforations comes from a
+// shadow-casting point light at the bulb (the shade's own mesh blocks the
+// rest); light that passes through the wall is baked into each surface's
+// light map from the emission table (lighting.js), which is what draws the
+// ripple pattern onto the walls.
+//
+// Scene units are mm and three's lights are physical (irradiance =
+// intensity / d²), so a point light of cd × 1e6 and light maps in lux keep
+// both parts on the same scale.
+import * as THREE from "three";
+import { bulbCandela, sampleEmission } from "./lighting.js";
+import { isSconce, sconcePlane, mountedBulb } from "./sconce.js";
+
+const ROOM_SIZE = 4000;        // mm, square floor
+const ROOM_HEIGHT = 2500;      // mm, floor to ceiling
+const CEILING_GAP = 150;       // mm, hanging lamps: cap top to ceiling (the cable length)
+const SCONCE_TOP_Z = 1900;     // mm, sconces: floor to cap top
+const MAP_SIZE = 128;          // light map texels per side
+const ROOM_EXPOSURE = 0.15;    // tone mapping exposure for a room lit by one bulb
+const MM2_PER_M2 = 1e6;
+
+/**
+ * Room planes, the bulb's light and the switch between daylight and the lit
+ * room. `daylight` lists the studio lights and helpers to hide while the
+ * room is on.
+ *
+ *  setEnabled(on)                    swap studio lighting for the room
+ *  apply(lamp, p, emission, opts)    re-light for a new preview; `lamp` is
+ *                                    the assembly group, `emission` the
+ *                                    emissionSteps table (null: not ready),
+ *                                    opts { lumens, transmission, shade }
+ *  refreshShadows()                  after moving lamp meshes
+ */
+export function createRoom({ scene, renderer, camera, daylight }) {
+  renderer.shadowMap.enabled = true;
+  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+  renderer.shadowMap.autoUpdate = false;   // the lamp only moves on rebuilds
+
+  const room = new THREE.Group();
+  room.visible = false;
+  const surfaces = ["floor", "ceiling", "north", "south", "east", "west"].map(name => {
+    const w = ROOM_SIZE, h = name === "floor" || name === "ceiling" ? ROOM_SIZE : ROOM_HEIGHT;
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(w, h),
+      new THREE.MeshStandardMaterial({ color: name === "floor" ? 0xb8aa98 : 0xeeeae2, roughness: 0.9 })
+    );
+    mesh.name = name;
+    mesh.receiveShadow = true;
+    room.add(mesh);
+    return mesh;
+  });
+  scene.add(room);
+
+  const bulb = new THREE.PointLight(0xfff1dc, 0, 0, 2);
+  bulb.castShadow = true;
+  bulb.shadow.mapSize.set(1024, 1024);
+  bulb.shadow.camera.near = 5;
+  bulb.shadow.camera.far = ROOM_SIZE * 2;
+  bulb.shadow.bias = -0.002;
+  bulb.visible = false;
+  scene.add(bulb);
+
+  let enabled = false;
+  const studio = {
+    exposure: renderer.toneMappingExposure,
+    environment: scene.environment,
+    far: camera.far
+  };
+
+  function setEnabled(on) {
+    enabled = on;
+    room.visible = bulb.visible = on;
+    for (const o of daylight) o.visible = !on;
+    renderer.toneMappingExposure = on ? ROOM_EXPOSURE : studio.exposure;
+    scene.environment = on ? null : studio.environment;
+    camera.far = on ? ROOM_SIZE * 3 : studio.far;
+    camera.updateProjectionMatrix();
+    renderer.shadowMap.needsUpdate = true;
+  }
+
+  function apply(lamp, p, emission, { lumens, transmission, shade }) {
+    lamp.traverse(o => {
+      if (o.isMesh) o.castShadow = !o.userData.bulb;
+    });
+    // The shade's outside glows with the light it lets through: exitance
+    // T × E at the wall (E from the bulb at the base radius), over π.
+    const cd = bulbCandela(lumens);
+    if (shade) {
+      shade.emissive.set(enabled ? 0xfff1dc : 0x000000);
+      shade.emissiveIntensity = enabled ? (transmission * cd) / (Math.PI * (p.rbase / 1000) ** 2) : 0;
+    }
+    if (!enabled) return;
+
+    const { x, y, z } = mountedBulb(p).centre;
+    bulb.position.set(x, y, z);
+    bulb.intensity = cd * MM2_PER_M2;
+    placeSurfaces(p);
+    const source = new THREE.Vector3(x, y, z);
+    for (const mesh of surfaces) bakeLightMap(mesh, source, emission?.wall, cd);
+    renderer.shadowMap.needsUpdate = true;
+  }
+
+  // Hanging lamps hang CEILING_GAP below the ceiling, standing ones stand on
+  // the floor; sconces sit on the east wall, turned to face their back.
+  function placeSurfaces(p) {
+    const sconce = isSconce(p);
+    const floorZ = p.mount === "standing" ? 0 : sconce ? p.height - SCONCE_TOP_Z : p.height + CEILING_GAP - ROOM_HEIGHT;
+    const midZ = floorZ + ROOM_HEIGHT / 2, half = ROOM_SIZE / 2;
+    const byName = Object.fromEntries(surfaces.map(m => [m.name, m]));
+    byName.floor.position.set(0, 0, floorZ);
+    byName.ceiling.position.set(0, 0, floorZ + ROOM_HEIGHT);
+    byName.ceiling.rotation.set(Math.PI, 0, 0);
+    byName.north.position.set(0, half, midZ);
+    byName.north.rotation.set(Math.PI / 2, 0, 0);
+    byName.south.position.set(0, -half, midZ);
+    byName.south.rotation.set(-Math.PI / 2, 0, Math.PI);
+    byName.east.position.set(half, 0, midZ);
+    byName.east.rotation.set(Math.PI / 2, -Math.PI / 2, 0);
+    byName.west.position.set(-half, 0, midZ);
+    byName.west.rotation.set(Math.PI / 2, Math.PI / 2, 0);
+    const { phi, outer } = sconce ? sconcePlane(p) : { phi: 0, outer: half };
+    room.rotation.set(0, 0, phi);
+    room.position.set(Math.cos(phi) * (outer - half), Math.sin(phi) * (outer - half), 0);
+    room.updateMatrixWorld(true);
+  }
+
+  return {
+    setEnabled,
+    apply,
+    refreshShadows: () => { renderer.shadowMap.needsUpdate = true; },
+    get enabled() { return enabled; }
+  };
+}
+
+/**
+ * Light through the shade onto one surface, in lux per texel:
+ * cd × wall(direction) × cos(incidence) / d². Stored normalised, with the
+ * peak in lightMapIntensity.
+ */
+function bakeLightMap(mesh, source, wall, cd) {
+  const mat = mesh.material;
+  if (!wall) {
+    mat.lightMap = null;
+    mat.needsUpdate = true;
+    return;
+  }
+  const { width, height } = mesh.geometry.parameters;
+  const normal = new THREE.Vector3(0, 0, 1).transformDirection(mesh.matrixWorld);
+  const lux = new Float32Array(MAP_SIZE * MAP_SIZE);
+  const pt = new THREE.Vector3();
+  let peak = 0;
+  for (let j = 0; j < MAP_SIZE; j++) {
+    for (let i = 0; i < MAP_SIZE; i++) {
+      pt.set(((i + 0.5) / MAP_SIZE - 0.5) * width, ((j + 0.5) / MAP_SIZE - 0.5) * height, 0);
+      pt.applyMatrix4(mesh.matrixWorld).sub(source);
+      const d = pt.length();
+      const cos = -pt.dot(normal) / d;
+      if (cos <= 0) continue;
+      const e = (cd * sampleEmission(wall, pt.x / d, pt.y / d, pt.z / d) * cos) / ((d / 1000) ** 2);
+      lux[j * MAP_SIZE + i] = e;
+      peak = Math.max(peak, e);
+    }
+  }
+  const data = new Uint8Array(MAP_SIZE * MAP_SIZE * 4);
+  for (let k = 0; k < lux.length; k++) {
+    const v = peak > 0 ? Math.round((lux[k] / peak) * 255) : 0;
+    data.set([v, v, v, 255], k * 4);
+  }
+  const tex = new THREE.DataTexture(data, MAP_SIZE, MAP_SIZE);
+  tex.magFilter = tex.minFilter = THREE.LinearFilter;
+  tex.needsUpdate = true;
+  mat.lightMap?.dispose();
+  mat.lightMap = tex;
+  mat.lightMapIntensity = peak;
+  mat.needsUpdate = true;
+}
@@ -0,0 +1,257 @@
+// src/sconce.js
+// Wall-sconce mount: a lamp cut flat along a vertical plane, with a back
+// plate against the wall, two keyhole slots to hang it on screws and a
+// groove up the back for the cable. The fitting goes through the back plate,
+// so the bulb points away from the wall and the top cap (whatever of it the
+// plane leaves: half of it or less) has no hole. printbody.js clamps its
+// cross-section loops to the plane and to the groove's floor, so the back is
+// welded into the body like the cap, and cuts the fitting hole and the
+// keyholes into its sweep (sweepholes.js). DOM-free.
+import { outerRadiusAt, innerRadiusAt } from "./geometry.js";
+import { getFitting, fittingHoleR, bulbPlacement } from "./fittings.js";
+
+const MIN_INNER = 5;        // mm, the back plate's inside face stays at least this far behind the axis
+const MIN_LAND = 1.0;       // as printbody.js: plate kept between the fitting hole and its edge
+const FITTING_SEG = 32;     // outline points around the fitting hole
+const KEYHOLE_Z = 0.7;      // height fraction of the keyhole heads
+const KEYHOLE_SLOT = 1.2;   // slot length above the head, × head Ø
+const KEYHOLE_EDGE = 4;     // mm kept between a keyhole and the edge of the back or the groove
+const KEYHOLE_SEG = 16;     // outline points around a keyhole's head
+const CHANNEL_FLOOR = 1;    // mm of back plate left under the cable groove
+const SPAN_STEP = 0.5;      // mm, sampling along the back plate
+const NO_BACK = Object.freeze({ outer: Infinity, inner: Infinity });
+
+export function isSconce(p) {
+  return p.mount === "sconce";
+}
+
+/**
+ * The back plate's plane: `phi` the direction from the lamp axis to the wall
+ * (sconceAngleDeg), `inner` / `outer` the distances (mm) from the axis to its
+ * inside face and its wall face. The plate sits as close to the axis as the
+ * bulb allows: the holder and bulb reach out from the plate, level with the
+ * fitting hole (sconceFittingZ), and stop sconceGap short of the shade's
+ * front.
+ */
+export function sconcePlane(p) {
+  const phi = (p.sconceAngleDeg * Math.PI) / 180;
+  const front = innerRadiusAt(p, p.sconceFittingZ, phi + Math.PI);
+  const outer = Math.max(MIN_INNER + p.sconceBack, bulbReach(p) + p.sconceGap - front);
+  return { phi, inner: outer - p.sconceBack, outer };
+}
+
+// How far the holder and bulb reach into the lamp from the plate's wall face
+// (mm), as from a hanging lamp's cap top; the holder's `above` part goes into
+// the wall box behind the hole.
+function bulbReach(p) {
+  const { socket, bulb } = getFitting(p);
+  return socket.length - socket.above + bulb.length;
+}
+
+/** Radius of the hole through the top cap: none on a sconce, whose fitting goes through the back. */
+export function capHoleR(p) {
+  return isSconce(p) ? 0 : fittingHoleR(p);
+}
+
+/**
+ * Where the bulb sits: its `centre` and `tip` (mm, lamp coordinates).
+ * Hanging and standing lamps hold it on the axis (fittings.js
+ * bulbPlacement); a sconce holds it level with its fitting hole, pointing
+ * away from the wall.
+ */
+export function mountedBulb(p) {
+  if (!isSconce(p)) {
+    const { centreZ, tipZ } = bulbPlacement(p);
+    return { centre: { x: 0, y: 0, z: centreZ }, tip: { x: 0, y: 0, z: tipZ } };
+  }
+  const { socket, bulb } = getFitting(p);
+  const { phi, outer } = sconcePlane(p);
+  const base = socket.length - socket.above, z = p.sconceFittingZ * p.height;
+  const at = d => ({ x: Math.cos(phi) * (outer - d), y: Math.sin(phi) * (outer - d), z });
+  return { centre: at(base + bulb.length - bulb.d / 2), tip: at(base + bulb.length) };
+}
+
+/**
+ * Where the ray from the axis at `ang` meets the back plate: { outer, inner }
+ * radii (mm) of its wall face (the groove's floor, inside the cable groove)
+ * and inside face, Infinity when the ray points away from the wall or the
+ * lamp is not a sconce. The groove's sides run along rays from the axis, as
+ * the print body's sweep needs: it is sconceChannel wide at the wall and a
+ * little narrower at its floor.
+ */
+export function backReach(p, ang) {
+  if (!isSconce(p)) return NO_BACK;
+  const { phi, inner, outer } = sconcePlane(p);
+  const c = Math.cos(ang - phi);
+  if (c <= 1e-6) return NO_BACK;
+  const channel = sconceChannel(p);
+  const inGroove = channel && Math.abs(Math.tan(ang - phi)) * outer < channel.halfW;
+  return { outer: (inGroove ? outer - channel.depth : outer) / c, inner: inner / c };
+}
+
+/** Angles of the cable groove's sides (see backReach), [] without one. */
+export function grooveAngles(p) {
+  const channel = isSconce(p) ? sconceChannel(p) : null;
+  if (!channel) return [];
+  const { phi, outer } = sconcePlane(p);
+  const half = Math.atan2(channel.halfW, outer);
+  return [phi - half, phi + half];
+}
+
+// The cable groove, { halfW, depth } (mm), or null when there is none or the back is too thin for it.
+function sconceChannel(p) {
+  const depth = p.sconceBack - CHANNEL_FLOOR;
+  return p.sconceChannel > 0 && depth >= 0.5 ? { halfW: p.sconceChannel / 2, depth } : null;
+}
+
+/** outerRadiusAt with the flat back cut off: the printed wall. */
+export function printOuterRadiusAt(p, v, ang) {
+  return Math.min(outerRadiusAt(p, v, ang), backReach(p, ang).outer);
+}
+
+/** innerRadiusAt with the back plate's inside face: the printed wall. */
+export function printInnerRadiusAt(p, v, ang) {
+  return Math.min(innerRadiusAt(p, v, ang), backReach(p, ang).inner);
+}
+
+/**
+ * Width of the flat back at height z (mm): how far it reaches to either side
+ * of its centre line, { left, right } in mm (0 when the plane misses the
+ * outer wall there).
+ */
+export function backSpan(p, z) {
+  const plane = sconcePlane(p);
+  const v = Math.min(1, Math.max(0, z / p.height));
+  if (plane.outer >= outerRadiusAt(p, v, plane.phi)) return { left: 0, right: 0 };
+  const reach = dir => {
+    for (let u = 0; ; u += SPAN_STEP) {
+      const next = u + SPAN_STEP;
+      if (Math.hypot(plane.outer, next) >= outerRadiusAt(p, v, plane.phi + dir * Math.atan2(next, plane.outer))) return u;
+    }
+  };
+  return { left: reach(-1), right: reach(1) };
+}
+
+/**
+ * Where the fitting hole, the keyholes and the cable groove go:
+ * { fitting: { z, r } | null, keyholes: [{ u, z }], channel: { halfW, depth }
+ * | null, problems: [strings] }. The fitting hole is centred on the back at
+ * sconceFittingZ of the height; it is left out (null) where the back is too
+ * narrow for it, it would reach into the top cap (capH) or the bottom rim,
+ * or a joint ({ z, h }: spigot band around z) crosses it. Two keyholes (head
+ * centres at KEYHOLE_Z of the height, `u` along the back from its centre
+ * line) as far apart as the back allows, clear of its edges, the groove and
+ * the fitting hole; none when the back is too narrow. On a segmented lamp
+ * they move down below a joint they would reach into. The groove runs the
+ * full height down the middle of the back, CHANNEL_FLOOR short of going
+ * through.
+ */
+export function sconceLayout(p, { joints = [], capH = 5 } = {}) {
+  const problems = [];
+  const headR = p.keyholeHead / 2, shankR = Math.min(p.keyholeShank, p.keyholeHead) / 2;
+  const slot = p.keyholeHead * KEYHOLE_SLOT;
+  const channel = sconceChannel(p);
+  if (p.sconceChannel > 0 && !channel) problems.push(`The back plate is too thin for a cable groove; make it at least ${CHANNEL_FLOOR + 0.5} mm.`);
+  const narrowest = heights => Math.min(...heights.map(z => {
+    const { left, right } = backSpan(p, z);
+    return Math.min(left, right);
+  }));
+
+  const r = fittingHoleR(p), zF = p.sconceFittingZ * p.height;
+  let fitting = { z: zF, r };
+  const fitSide = narrowest([zF - r, zF, zF + r]);
+  if (fitSide <= 0) {
+    problems.push(`The holder and bulb need ${Math.round(bulbReach(p) + p.sconceGap)} mm from the back to the front of the shade, more than the lamp is deep at the fitting: pick a shorter bulb, lower the gap to the front or widen the lamp.`);
+    return { fitting: null, keyholes: [], channel: null, problems };
+  }
+  if (fitSide < r + MIN_LAND) {
+    problems.push(`The back is ${Math.round(2 * fitSide)} mm wide at the fitting; its Ø${Math.round(2 * r)} mm hole needs ${Math.ceil(2 * (r + MIN_LAND))} mm. Widen the lamp, shorten the bulb or lower the gap to the front.`);
+    fitting = null;
+  } else if (zF - r < MIN_LAND || zF + r > p.height - capH - MIN_LAND) {
+    problems.push("The fitting hole runs into the top cap or the bottom rim; change the fitting height.");
+    fitting = null;
+  } else if (joints.some(j => zF + r > j.z - j.h - MIN_LAND && zF - r < j.z + j.h + MIN_LAND)) {
+    problems.push("A joint between the parts crosses the fitting hole; change the fitting height.");
+    fitting = null;
+  }
+
+  let zK = KEYHOLE_Z * p.height;
+  for (const j of [...joints].sort((a, b) => b.z - a.z)) {
+    if (zK + slot + shankR > j.z - j.h - KEYHOLE_EDGE && zK - headR < j.z + j.h + KEYHOLE_EDGE) zK = j.z - j.h - KEYHOLE_EDGE - slot - shankR;
+  }
+  const side = narrowest([zK - headR, zK, zK + slot / 2, zK + slot + shankR]);
+  // Beside the fitting hole where they share heights, else beside the groove
+  const besideFitting = fitting && zK + slot + shankR > zF - r - KEYHOLE_EDGE && zK - headR < zF + r + KEYHOLE_EDGE;
+  const uMin = Math.max(channel ? channel.halfW : 0, besideFitting ? r : 0) + KEYHOLE_EDGE + headR;
+  const uMax = side - KEYHOLE_EDGE - headR;
+  if (uMax < uMin) {
+    problems.push(`The back is ${Math.round(2 * Math.max(0, side))} mm wide at the keyholes; two ${p.keyholeHead} mm keyholes need ${Math.ceil(2 * (uMin + headR + KEYHOLE_EDGE))} mm. Widen the lamp or lower the gap to the front.`);
+    return { fitting, keyholes: [], channel, problems };
+  }
+  const u = Math.max(uMin, (uMin + uMax) / 2);
+  return { fitting, keyholes: [{ u: -u, z: zK }, { u, z: zK }], channel, problems };
+}
+
+/**
+ * Opening (sweepholes.js) for the fitting hole (`fitting`, sconceLayout):
+ * round, on the back's centre line, straight through the plate like the
+ * keyholes.
+ */
+export function fittingOpening(p, { z, r }) {
+  const outline = Array.from({ length: FITTING_SEG }, (_, k) => {
+    const a = (k / FITTING_SEG) * 2 * Math.PI;
+    return [r * Math.cos(a), r * Math.sin(a)];
+  });
+  return plateOpening(p, outline, 0, z);
+}
+
+/**
+ * Openings (sweepholes.js) for `keyholes` (sconceLayout):
+ * each outline drawn on the back's wall face and on its inside face at the
+ * same distance along the back, so the hole runs straight through the plate.
+ */
+export function keyholeOpenings(p, keyholes) {
+  const headR = p.keyholeHead / 2, shankR = Math.min(p.keyholeShank, p.keyholeHead) / 2;
+  const outline = keyholeOutline(headR, shankR, p.keyholeHead * KEYHOLE_SLOT);
+  return keyholes.map(({ u, z }) => plateOpening(p, outline, u, z));
+}
+
+// An [x, y] outline (counter-clockwise, x along the back) placed at u, z on
+// the back's wall face and on its inside face.
+function plateOpening(p, outline, u, z) {
+  const { phi, inner, outer } = sconcePlane(p);
+  const onPlane = d => outline.map(([x, y]) => [phi + Math.atan2(u + x, d), z + y]);
+  return { front: { face: "outer", outline: onPlane(outer) }, back: { face: "inner", outline: onPlane(inner) } };
+}
+
+/** Height range [from, to] (mm) of a keyhole with its head centred at z. */
+export function keyholeSpan(p, z) {
+  const headR = p.keyholeHead / 2, shankR = Math.min(p.keyholeShank, p.keyholeHead) / 2;
+  return [z - headR, z + p.keyholeHead * KEYHOLE_SLOT + shankR];
+}
+
+// Round head at the origin, a slot of the shank's width rising `slot` above
+// it: counter-clockwise [x, y] points, x along the back.
+function keyholeOutline(headR, shankR, slot) {
+  const arc = (cy, r, a0, a1, n) => Array.from({ length: n + 1 }, (_, i) => {
+    const a = a0 + (a1 - a0) * i / n;
+    return [r * Math.cos(a), cy + r * Math.sin(a)];
+  });
+  const join = Math.sqrt(headR * headR - shankR * shankR);
+  return [
+    ...arc(slot, shankR, 0, Math.PI, KEYHOLE_SEG / 2),
+    ...arc(0, headR, Math.atan2(join, -shankR), Math.atan2(join, shankR) + 2 * Math.PI, KEYHOLE_SEG)
+  ];
+}
+
+/**
+ * Perforation rows (perforationLayout) without the holes that would land on
+ * the flat back.
+ */
+export function withoutBackHoles(p, rows) {
+  if (!isSconce(p)) return rows;
+  return rows.map(row => ({
+    ...row,
+    angles: row.angles.filter(ang => backReach(p, ang).outer > outerRadiusAt(p, row.z / p.height, ang) + p.perfSize)
+  })).filter(row => row.angles.length);
+}
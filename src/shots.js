@@ -0,0 +1,166 @@
+// src/shots.js
+// Product shots of the live scene: the main renderer drawn at a chosen size
+// (not the screen's), from a camera preset around the orbit target, saved as
+// a PNG, or turned about the vertical axis through the target for a
+// turntable (a zip of PNG frames, or a WebM recorded from the frames as they
+// are drawn). Lighting and helpers are the caller's: whatever the scene
+// shows is what gets drawn.
+import * as THREE from "three";
+import { zipSync } from "three/addons/libs/fflate.module.js";
+
+/** Camera presets; `dir` points from the target to the camera (Z up). */
+export const CAMERA_PRESETS = [
+  { value: "current", label: "Current view" },
+  { value: "front", label: "Front", dir: [0, -1, 0.12] },
+  { value: "threeQuarter", label: "Three-quarter", dir: [1, -1, 0.55] },
+  { value: "side", label: "Side", dir: [1, 0, 0.12] },
+  { value: "above", label: "From above", dir: [0.4, -0.4, 1.6] },
+  { value: "below", label: "From below", dir: [1, -1, -0.45] }
+];
+
+export const SHOT_SIZES = [
+  { value: "1920x1080", label: "1920 × 1080 (Full HD)" },
+  { value: "2560x1440", label: "2560 × 1440" },
+  { value: "3840x2160", label: "3840 × 2160 (4K)" },
+  { value: "1080x1350", label: "1080 × 1350 (portrait)" },
+  { value: "2048x2048", label: "2048 × 2048 (square)" },
+  { value: "4096x4096", label: "4096 × 4096 (square)" }
+];
+
+export const TURNTABLE_FPS = 30;
+const WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+const WEBM_BITS_PER_PIXEL = 0.15;   // per frame
+
+/** { width, height } of a SHOT_SIZES value. */
+export function parseShotSize(value) {
+  const [width, height] = value.split("x").map(Number);
+  return { width, height };
+}
+
+/**
+ * Shot maker for the main view. `camera` and `target` (the orbit target)
+ * are read at each call, so presets sit at the current viewing distance.
+ *
+ *  still(opts)                      PNG Blob
+ *  turntablePngs(opts, onFrame)     zip bytes of frame_0001.png…
+ *  turntableWebm(opts, onFrame)     WebM Blob
+ *
+ * opts { width, height, preset, transparent, frames, degrees };
+ * onFrame({ label, done, total }) after each frame.
+ */
+export function createShots({ renderer, scene, camera, target }) {
+  const out = document.createElement("canvas");   // frames are copied here before the renderer is restored
+
+  function shotCamera(preset, aspect) {
+    const cam = camera.clone();
+    cam.aspect = aspect;
+    const dir = CAMERA_PRESETS.find(c => c.value === preset)?.dir;
+    if (dir) {
+      cam.up.set(0, 0, 1);
+      cam.position.copy(target).addScaledVector(new THREE.Vector3(...dir).normalize(), camera.position.distanceTo(target));
+      cam.lookAt(target);
+    }
+    cam.updateProjectionMatrix();
+    return cam;
+  }
+
+  // The camera turned `angle` about the vertical axis through the target.
+  function turned(cam, angle) {
+    const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), angle);
+    const turnedCam = cam.clone();
+    turnedCam.position.sub(target).applyQuaternion(q).add(target);
+    turnedCam.quaternion.premultiply(q);
+    return turnedCam;
+  }
+
+  // Draw one frame at width × height into `out`, leaving the renderer as it was.
+  function draw(cam, { width, height, transparent }) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const ratio = renderer.getPixelRatio();
+    const background = scene.background;
+    const clearAlpha = renderer.getClearAlpha();
+    try {
+      renderer.setPixelRatio(1);
+      renderer.setSize(width, height, false);
+      const gl = renderer.getContext();
+      if (gl.drawingBufferWidth !== width || gl.drawingBufferHeight !== height) {
+        throw new Error(`This graphics card renders at most ${gl.drawingBufferWidth} × ${gl.drawingBufferHeight} px; pick a smaller size.`);
+      }
+      if (transparent) {
+        scene.background = null;
+        renderer.setClearAlpha(0);
+      }
+      renderer.render(scene, cam);
+      out.width = width;
+      out.height = height;
+      const ctx = out.getContext("2d");
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(renderer.domElement, 0, 0);
+    } finally {
+      scene.background = background;
+      renderer.setClearAlpha(clearAlpha);
+      renderer.setPixelRatio(ratio);
+      renderer.setSize(size.x, size.y, false);
+    }
+  }
+
+  const pngBlob = () => new Promise((resolve, reject) =>
+    out.toBlob(b => (b ? resolve(b) : reject(new Error("The browser could not encode the PNG."))), "image/png"));
+
+  async function still(opts) {
+    draw(shotCamera(opts.preset, opts.width / opts.height), opts);
+    return pngBlob();
+  }
+
+  async function turntablePngs(opts, onFrame = () => {}) {
+    const cam = shotCamera(opts.preset, opts.width / opts.height);
+    const files = {};
+    for (let k = 0; k < opts.frames; k++) {
+      draw(turned(cam, frameAngle(opts, k)), opts);
+      const name = `frame_${String(k + 1).padStart(4, "0")}.png`;
+      files[name] = new Uint8Array(await (await pngBlob()).arrayBuffer());
+      onFrame({ label: "Turntable frames", done: k + 1, total: opts.frames });
+    }
+    return zipSync(files, { level: 0 });   // PNGs are compressed already
+  }
+
+  // Frames are drawn in real time, one every 1 / TURNTABLE_FPS s, while the recorder runs.
+  async function turntableWebm(opts, onFrame = () => {}) {
+    const mimeType = typeof MediaRecorder === "undefined" ? null : WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+    if (!mimeType || !out.captureStream) throw new Error("This browser cannot record WebM video; export PNG frames instead.");
+    const cam = shotCamera(opts.preset, opts.width / opts.height);
+    draw(cam, opts);   // sizes `out` before the stream starts
+    const stream = out.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: Math.round(opts.width * opts.height * TURNTABLE_FPS * WEBM_BITS_PER_PIXEL)
+    });
+    const chunks = [];
+    recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    recorder.start();
+    try {
+      for (let k = 0; k < opts.frames; k++) {
+        const due = performance.now() + 1000 / TURNTABLE_FPS;
+        draw(turned(cam, frameAngle(opts, k)), opts);
+        track.requestFrame();
+        onFrame({ label: "Recording turntable", done: k + 1, total: opts.frames });
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, due - performance.now())));
+      }
+    } finally {
+      recorder.stop();
+      await stopped;
+      track.stop();
+    }
+    return new Blob(chunks, { type: "video/webm" });
+  }
+
+  return { still, turntablePngs, turntableWebm };
+}
+
+// A full turn ends one step short of the start, so the frames loop seamlessly.
+function frameAngle({ frames, degrees }, k) {
+  const steps = degrees >= 360 ? frames : Math.max(1, frames - 1);
+  return THREE.MathUtils.degToRad((degrees * k) / steps);
+}
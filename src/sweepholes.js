@@ -0,0 +1,382 @@
+// src/sweepholes.js
+// Openings through printbody.js's sweep (perforations, cap vents, a
+// sconce's fitting hole and keyholes) cut into its quad grid instead of with CSG. An opening
+// is one outline drawn on two faces of the cross-section loop: the outer and
+// inner wall, or the top and underside of a cap. The cells an outline crosses are
+// re-triangulated around it, each point where it crosses a grid edge is
+// shared by the cells on both sides, and a tube joins the two outlines, so
+// the solid stays closed and welded by construction. DOM-free.
+import * as THREE from "three";
+
+const TAU = Math.PI * 2;
+const TOL = 1e-7;                           // of a segment or an edge, for "on a corner"
+const NUDGES = [0, 1e-3, -2e-3, 3e-3, -4e-3]; // mm, tried in turn when an outline hits a grid corner
+
+class Degenerate extends Error {}
+
+/**
+ * Cut `openings` into a sweep.
+ *
+ *  sweep     { angles, loops, columns, positions }: buildPart's column angles,
+ *            (r, z) loops and vertex indices per column, and its flat
+ *            position array (new vertices are appended to it)
+ *  faces     { name: { from, to, kind, … } }: the cells between loop points
+ *            from…to of every column. "wall" faces take (ang, z) points and
+ *            place them at `radius(ang, z)`; "plane" faces take (x, y) points
+ *            at height `z`.
+ *  openings  [{ front: { face, outline }, back: { face, outline } }]: the same
+ *            outline on two faces, counter-clockwise, point for point. One
+ *            that overlaps an opening before it is left out (the holes'
+ *            layout reports that as too thin a web).
+ *
+ * Returns { cells, tubes }: `cells` maps "c:i" (column, loop index) to the
+ * triangles that replace that cell, or null when it lies inside a hole;
+ * `tubes` holds the triangles through the wall.
+ */
+export function cutOpenings(sweep, faces, openings) {
+  const grids = Object.fromEntries(Object.entries(faces).map(([name, face]) => [name, faceGrid(sweep, face)]));
+  const cells = new Map();   // "c:i" → { grid, c, i, pieces, closed }
+  const inside = [];         // [grid, outline, cells visited] per traced outline
+  const tubes = [];
+
+  const taken = Object.fromEntries(Object.keys(faces).map(name => [name, []]));   // outlines cut so far, per face
+
+  for (const opening of openings) {
+    const sides = [opening.front, opening.back].map(({ face, outline }) => ({
+      face, outline: outline.map(([x, y]) => [x * grids[face].unit, y])
+    }));
+    if (sides.some(({ face, outline }) => taken[face].some(other => overlaps(outline, other, grids[face].period)))) continue;
+    for (const { face, outline } of sides) taken[face].push(outline);
+
+    let traced = null;
+    for (const nudge of NUDGES) {
+      try {
+        traced = sides.map(({ face, outline }) => traceOutline(grids[face], outline.map(([x, y]) => [x + nudge, y + nudge])));
+        break;
+      } catch (err) {
+        if (!(err instanceof Degenerate)) throw err;
+      }
+    }
+    if (!traced) throw new Error("An opening lands on the corners of the mesh; nudge it a little.");
+
+    for (const trace of traced) {
+      for (const node of trace.ring) node.idx = trace.grid.vertex(node);
+      for (const piece of trace.pieces) {
+        const key = piece.c + ":" + piece.i;
+        if (!cells.has(key)) cells.set(key, { grid: trace.grid, c: piece.c, i: piece.i, pieces: [], closed: [] });
+        cells.get(key)[piece.closed ? "closed" : "pieces"].push(piece);
+      }
+      inside.push(trace);
+    }
+    const [front, back] = traced[0].grid.ccw ? traced : [traced[1], traced[0]];
+    for (const v of zip(front.ring, back.ring, front.count)) tubes.push(v);
+  }
+
+  const out = new Map();
+  for (const [key, cell] of cells) out.set(key, cellTriangles(cell));
+  // Cells wholly inside an outline: none of it crosses them, but their centre is in it
+  for (const { grid, outline, visited } of inside) {
+    for (let U = visited.U0; U <= visited.U1; U++) {
+      for (let i = visited.i0; i <= visited.i1; i++) {
+        const key = grid.mod(U) + ":" + i;
+        if (!out.has(key) && pointInPolygon(grid.centre(U, i), outline)) out.set(key, null);
+      }
+    }
+  }
+  return { cells: out, tubes };
+}
+
+// ---- One face's grid in its parameter plane ----
+
+function faceGrid({ angles, loops, columns, positions }, face) {
+  const N = angles.length;
+  const wall = face.kind === "wall";
+  const unit = wall ? loops[0][face.from][0] : 1;   // mm per radian along a wall
+  const mod = U => ((U % N) + N) % N;
+
+  // Loop point i of column U, which counts on past N into the next turn
+  const corner = (U, i) => {
+    const c = mod(U), [r, z] = loops[c][i], a = angles[c];
+    return wall ? [(a + (U - c) / N * TAU) * unit, z] : [r * Math.cos(a), r * Math.sin(a)];
+  };
+  const quad = (U, i) => [corner(U, i), corner(U + 1, i), corner(U + 1, i + 1), corner(U, i + 1)];
+  // Summed along a middle row: a standing cap's notch collapses some cells
+  const mid = (face.from + face.to) >> 1;
+  const ccw = angles.reduce((sum, _, U) => sum + area(quad(U, mid)), 0) > 0;
+
+  // The cell holding point `q`: the column by angle, the row by testing
+  function locate(q) {
+    const a = wall ? q[0] / unit : Math.atan2(q[1], q[0]);
+    const turn = Math.floor((a - angles[0]) / TAU);
+    const rest = a - turn * TAU;
+    let lo = 0, hi = N - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (angles[mid] <= rest) lo = mid;
+      else hi = mid - 1;
+    }
+    const U = lo + turn * N;
+    for (let i = face.from; i < face.to; i++) {
+      if (pointInQuad(q, quad(U, i))) return [U, i];
+    }
+    throw new Error("An opening starts outside the face it is cut into.");
+  }
+
+  // Vertex index of an outline point or a grid-edge crossing
+  function vertex(node) {
+    if (node.edge) {
+      const [a, b] = node.edge.ends.map(([c, i]) => columns[c][i] * 3);
+      const t = node.t;
+      positions.push(...[0, 1, 2].map(k => positions[a + k] + (positions[b + k] - positions[a + k]) * t));
+    } else if (wall) {
+      const ang = node.q[0] / unit, z = node.q[1], r = face.radius(ang, z);
+      positions.push(r * Math.cos(ang), r * Math.sin(ang), z);
+    } else {
+      positions.push(node.q[0], node.q[1], face.z);
+    }
+    return positions.length / 3 - 1;
+  }
+
+  return {
+    unit, ccw, mod, corner, quad, locate, vertex, from: face.from, to: face.to,
+    period: wall ? TAU * unit : 0,
+    turn: U => (U - mod(U)) / N,
+    cornerIndex: (U, i) => columns[mod(U)][i],
+    centre: (U, i) => quad(U, i).reduce((s, [x, y]) => [s[0] + x / 4, s[1] + y / 4], [0, 0])
+  };
+}
+
+// The four sides of cell (U, i), each with its grid-wide edge (`ends` in the
+// direction `t` runs) and the cell it leads into.
+function cellSides(grid, U, i) {
+  const [p0, p1, p2, p3] = grid.quad(U, i);
+  const c = grid.mod(U), c1 = grid.mod(U + 1);
+  const edge = (kind, ends) => ({ key: kind + ends[0].join(":"), ends });
+  return [
+    { a: p0, b: p1, edge: edge("h", [[c, i], [c1, i]]), next: [U, i - 1] },
+    { a: p1, b: p2, edge: edge("v", [[c1, i], [c1, i + 1]]), next: [U + 1, i] },
+    { a: p3, b: p2, edge: edge("h", [[c, i + 1], [c1, i + 1]]), next: [U, i + 1] },
+    { a: p0, b: p3, edge: edge("v", [[c, i], [c, i + 1]]), next: [U - 1, i] }
+  ];
+}
+
+// ---- Tracing an outline through the cells ----
+
+// The outline as a ring of nodes (its points, plus a crossing wherever it
+// leaves a cell), cut into one piece per cell it passes through.
+function traceOutline(grid, outline) {
+  const n = outline.length;
+  let [U, i] = grid.locate(outline[0]);
+  const visited = { U0: U, U1: U, i0: i, i1: i };
+  const ring = [];
+
+  for (let k = 0; k < n; k++) {
+    const a = outline[k], b = outline[(k + 1) % n];
+    ring.push({ q: a, s: k, U, i });
+    let from = null, uMin = 0;
+    for (;;) {
+      let exit = null;
+      for (const side of cellSides(grid, U, i)) {
+        if (from && side.edge.key === from) continue;
+        const hit = intersect(a, b, side.a, side.b);
+        if (!hit) continue;
+        if (Math.abs(hit.u - 1) < TOL || hit.u < uMin + TOL && hit.u > uMin - TOL) throw new Degenerate();
+        if (hit.u < uMin || hit.u > 1) continue;
+        if (hit.t < TOL || hit.t > 1 - TOL) throw new Degenerate();
+        if (!exit || hit.u < exit.u) exit = { ...hit, side };
+      }
+      if (!exit) break;
+      const [U2, i2] = exit.side.next;
+      if (i2 < grid.from || i2 >= grid.to) throw new Error("An opening runs off the face it is cut into.");
+      ring.push({ edge: exit.side.edge, t: exit.t, s: k + exit.u, from: [U, i], to: [U2, i2] });
+      [U, i] = [U2, i2];
+      from = exit.side.edge.key;
+      uMin = exit.u;
+      visited.U0 = Math.min(visited.U0, U);
+      visited.U1 = Math.max(visited.U1, U);
+      visited.i0 = Math.min(visited.i0, i);
+      visited.i1 = Math.max(visited.i1, i);
+    }
+  }
+
+  // Pieces in the frame of the cell they lie in (walls: the first turn)
+  const shift = U => grid.turn(U) * grid.period;
+  const crossings = ring.flatMap((node, k) => (node.edge ? [k] : []));
+  const pieces = [];
+  if (!crossings.length) {
+    const [U0, i0] = [ring[0].U, ring[0].i];
+    pieces.push({ closed: true, c: grid.mod(U0), i: i0, nodes: ring, pts: ring.map(({ q }) => [q[0] - shift(U0), q[1]]) });
+  } else {
+    for (let j = 0; j < crossings.length; j++) {
+      const k0 = crossings[j], k1 = crossings[(j + 1) % crossings.length];
+      const [Uc, ic] = ring[k0].to;
+      const mids = [];
+      for (let k = (k0 + 1) % ring.length; k !== k1; k = (k + 1) % ring.length) mids.push(ring[k]);
+      pieces.push({
+        c: grid.mod(Uc), i: ic, start: ring[k0], end: ring[k1], mids,
+        pts: mids.map(({ q }) => [q[0] - shift(Uc), q[1]])
+      });
+    }
+  }
+  return { grid, ring, pieces, count: n, outline, visited };
+}
+
+// ---- Re-triangulating a cut cell ----
+
+// Weiler–Atherton on one cell: walk its boundary counter-clockwise (in the
+// parameter plane) from where an outline enters it to where one leaves,
+// then back along that outline to where it entered, and so on round.
+function cellTriangles({ grid, c, i, pieces, closed }) {
+  const corners = grid.quad(c, i);
+  const sides = cellSides(grid, c, i);
+  const onEdge = new Map();
+  for (const piece of pieces) {
+    for (const node of [piece.start, piece.end]) {
+      if (!onEdge.has(node.edge.key)) onEdge.set(node.edge.key, []);
+      onEdge.get(node.edge.key).push(node);
+    }
+  }
+  // Corners and crossings in order round the cell; sides 2 and 3 run backwards
+  let boundary = [];
+  const cornerIdx = [[c, i], [c + 1, i], [c + 1, i + 1], [c, i + 1]].map(([U, j]) => grid.cornerIndex(U, j));
+  sides.forEach((side, k) => {
+    boundary.push({ idx: cornerIdx[k], q: corners[k] });
+    const along = [...(onEdge.get(side.edge.key) ?? [])].sort((x, y) => x.t - y.t);
+    if (k >= 2) along.reverse();
+    for (const node of along) boundary.push({ node, idx: node.idx, q: lerp(side.a, side.b, node.t) });
+  });
+  if (!grid.ccw) boundary.reverse();
+
+  const role = new Map();
+  for (const piece of pieces) {
+    role.set(piece.start, { piece, start: true });
+    role.set(piece.end, { piece, start: false });
+  }
+  const at = node => boundary.findIndex(b => b.node === node);
+  const point = (node, q) => ({ idx: node.idx, q });
+
+  const polygons = [];
+  if (!pieces.length) polygons.push({ outer: boundary, holes: [] });
+  const done = new Set();
+  for (const first of pieces) {
+    if (done.has(first)) continue;
+    const outer = [];
+    let k = at(first.start);
+    for (;;) {
+      outer.push(boundary[k]);
+      k = (k + 1) % boundary.length;
+      for (let steps = 0; !boundary[k].node || role.get(boundary[k].node).start; steps++) {
+        if (steps > boundary.length) throw new Error("Openings cross inside one cell of the mesh.");
+        outer.push(boundary[k]);
+        k = (k + 1) % boundary.length;
+      }
+      const { piece } = role.get(boundary[k].node);
+      outer.push(boundary[k]);
+      for (let m = piece.mids.length - 1; m >= 0; m--) outer.push(point(piece.mids[m], piece.pts[m]));
+      done.add(piece);
+      if (piece === first) break;
+      k = at(piece.start);
+    }
+    polygons.push({ outer, holes: [] });
+  }
+  for (const hole of closed) {
+    const home = polygons.find(({ outer }) => pointInPolygon(hole.pts[0], outer.map(b => b.q))) ?? polygons[0];
+    home.holes.push(hole.nodes.map((node, m) => point(node, hole.pts[m])));
+  }
+
+  const index = [];
+  for (const { outer, holes } of polygons) {
+    const all = [outer, ...holes].flat();
+    const v2 = list => list.map(({ q }) => new THREE.Vector2(q[0], q[1]));
+    for (const [a, b, d] of THREE.ShapeUtils.triangulateShape(v2(outer), holes.map(v2))) {
+      const flip = (area([all[a].q, all[b].q, all[d].q]) > 0) !== grid.ccw;
+      index.push(all[a].idx, flip ? all[d].idx : all[b].idx, flip ? all[b].idx : all[d].idx);
+    }
+  }
+  return index;
+}
+
+// ---- The tube through the wall ----
+
+// Join the front ring (on the face whose cells run counter-clockwise) to
+// the back ring, segment by segment of the outline, by position `s` along it.
+function zip(front, back, count) {
+  const index = [];
+  const sAt = (ring, k) => (k < ring.length ? ring[k].s : ring[k - ring.length].s + count);
+  const node = (ring, k) => ring[k % ring.length];
+  let f = 0, b = 0;
+  while (f < front.length || b < back.length) {
+    if (b >= back.length || (f < front.length && sAt(front, f + 1) <= sAt(back, b + 1))) {
+      index.push(node(front, f).idx, node(front, f + 1).idx, node(back, b).idx);
+      f++;
+    } else {
+      index.push(node(front, f).idx, node(back, b + 1).idx, node(back, b).idx);
+      b++;
+    }
+  }
+  return index;
+}
+
+// ---- 2D helpers ----
+
+function area(pts) {
+  let a = 0;
+  pts.forEach(([x0, y0], k) => {
+    const [x1, y1] = pts[(k + 1) % pts.length];
+    a += x0 * y1 - x1 * y0;
+  });
+  return a / 2;
+}
+
+const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+
+// Where segment a→b meets segment c→d: { u along a→b, t along c→d }, or null.
+function intersect(a, b, c, d) {
+  const rx = b[0] - a[0], ry = b[1] - a[1], sx = d[0] - c[0], sy = d[1] - c[1];
+  const den = rx * sy - ry * sx;
+  if (Math.abs(den) < 1e-12) return null;
+  const qx = c[0] - a[0], qy = c[1] - a[1];
+  const u = (qx * sy - qy * sx) / den, t = (qx * ry - qy * rx) / den;
+  return t < -TOL || t > 1 + TOL ? null : { u, t };
+}
+
+// Collapsed cells (a standing cap's notch) hold nothing
+function pointInQuad(q, quad) {
+  const a = area(quad);
+  if (Math.abs(a) < 1e-9) return false;
+  const sign = Math.sign(a);
+  return quad.every((a, k) => {
+    const b = quad[(k + 1) % 4];
+    return sign * ((b[0] - a[0]) * (q[1] - a[1]) - (b[1] - a[1]) * (q[0] - a[0])) >= 0;
+  });
+}
+
+// Whether two outlines touch, also a turn apart on a wall (`period` 0 on a plane)
+function overlaps(a, b, period) {
+  return (period ? [0, period, -period] : [0]).some(dx => {
+    const moved = dx ? b.map(([x, y]) => [x + dx, y]) : b;
+    if (!boxesMeet(a, moved)) return false;
+    return pointInPolygon(a[0], moved) || pointInPolygon(moved[0], a) ||
+      a.some((p, k) => moved.some((q, m) => segmentsMeet(p, a[(k + 1) % a.length], q, moved[(m + 1) % moved.length])));
+  });
+}
+
+function boxesMeet(a, b) {
+  const box = pts => [0, 1].map(k => [Math.min(...pts.map(p => p[k])), Math.max(...pts.map(p => p[k]))]);
+  const [ba, bb] = [box(a), box(b)];
+  return ba.every(([lo, hi], k) => lo <= bb[k][1] && bb[k][0] <= hi);
+}
+
+function segmentsMeet(a, b, c, d) {
+  const hit = intersect(a, b, c, d);
+  return !!hit && hit.u >= 0 && hit.u <= 1;
+}
+
+function pointInPolygon([x, y], pts) {
+  let inside = false;
+  for (let k = 0, j = pts.length - 1; k < pts.length; j = k++) {
+    const [xi, yi] = pts[k], [xj, yj] = pts[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
@@ -0,0 +1,237 @@
+// src/thermal.js
+// Heat safety: how warm the bulb makes the wall and cap, against the
+// filament's glass transition, and vents for the top cap. DOM-free (the
+// heat view runs in the worker, the check on the main thread and in the CLI).
+import { segmentsFor } from "./geometry.js";
+import { getFitting } from "./fittings.js";
+import { getFilament } from "./filaments.js";
+import { isSconce, sconcePlane, mountedBulb, capHoleR, printInnerRadiusAt } from "./sconce.js";
+
+/**
+ *  radiant  share of the electrical power that reaches the wall as radiant heat
+ *  heat     share that ends up as heat at all (what the vents have to let out)
+ */
+export const BULB_TYPES = {
+  led: { label: "LED", radiant: 0.15, heat: 0.7 },
+  cfl: { label: "Compact fluorescent", radiant: 0.35, heat: 0.8 },
+  halogen: { label: "Halogen", radiant: 0.8, heat: 0.9 },
+  incandescent: { label: "Incandescent", radiant: 0.85, heat: 0.95 }
+};
+
+const AMBIENT_C = 30;       // room air around a lamp that has been on a while
+const ABSORBED = 0.6;       // share of the radiant heat a thin printed wall absorbs
+const LOSS_W_M2K = 12;      // heat the wall sheds from both faces, convection + radiation
+const PLUME_CLOSED = 2;     // rise multiplier straight above the bulb under a closed cap
+const PLUME_OPEN = 1.3;     // … when the hot air has a way out (open top or vents)
+const MARGIN_C = 10;        // warn this far below the glass transition
+const HEIGHT_SAMPLES = 200;
+const ANGLE_SAMPLES = 180;
+const VENT_MM2_PER_W = 40;  // vent area per watt of heat
+const VENT_EDGE = 3;        // mm kept between vents and the fitting hole or the wall
+const VENT_D_MIN = 3;
+const VENT_D_MAX = 8;
+const VENT_MIN_COUNT = 6;
+const VENT_SEGMENTS = 16;    // outline points of a vent
+
+/** Bulb power and placement: { type, watts, radiantW, heatW, centre: { x, y, z }, radius }. */
+export function heatSource(p) {
+  const type = BULB_TYPES[p.bulbType] ?? BULB_TYPES.led;
+  return {
+    type,
+    watts: p.bulbWatts,
+    radiantW: p.bulbWatts * type.radiant,
+    heatW: p.bulbWatts * type.heat,
+    centre: mountedBulb(p).centre,
+    radius: getFitting(p).bulb.d / 2
+  };
+}
+
+// Hot air rises: points above the bulb get more, most straight above it,
+// and most of all under a hanging lamp's closed cap.
+function plumeFactor(p) {
+  const closed = p.mount !== "standing" && !(hasCapVents(p) && ventLayout(p));
+  return (closed ? PLUME_CLOSED : PLUME_OPEN) - 1;
+}
+
+/**
+ * Steady wall temperature (°C) at (x, y, z) for the bulb as a point source
+ * at its centre: absorbed radiant flux over the wall's heat loss, raised
+ * above the bulb by the rising air.
+ */
+function wallTemperature(src, plume, x, y, z) {
+  const dx = x - src.centre.x, dy = y - src.centre.y, dz = z - src.centre.z;
+  const d2 = dx * dx + dy * dy + dz * dz;
+  const flux = (ABSORBED * src.radiantW) / (4 * Math.PI * d2 * 1e-6);
+  const up = dz > 0 ? dz / Math.sqrt(d2) : 0;
+  return AMBIENT_C + (flux / LOSS_W_M2K) * (1 + plume * up);
+}
+
+/**
+ * Heat check for export and the sidebar, along the inner wall
+ * (printInnerRadiusAt over the height, so a sconce's back plate counts) and
+ * the inside face of the cap:
+ *  minGapMm    closest approach of the bulb glass to the wall or cap
+ *  requiredMm  glass-to-wall distance the bulb needs level with it
+ *  maxC, capC  hottest wall / cap temperature (°C)
+ *  tgC, limitC glass transition of the filament, and the warning limit below it
+ *  zones       wall height ranges over limitC: [{ from, to (mm), worst (°C) }]
+ *  level       "ok" | "warn" (over limitC) | "block" (at Tg, bulb touching,
+ *              or over the holder's rating)
+ * plus the bulb (`source`), the holder rating (`maxWatts`) and the vent
+ * suggestion for hanging lamps (`vents`, see ventLayout).
+ */
+export function heatCheck(p, { capH = 5, holeR = capHoleR(p) } = {}) {
+  const src = heatSource(p);
+  const plume = plumeFactor(p);
+  const { maxWatts } = getFitting(p);
+  const tgC = getFilament(p).tg;
+  const limitC = tgC - MARGIN_C;
+  const H = p.height;
+  const gap = (x, y, z) => Math.hypot(x - src.centre.x, y - src.centre.y, z - src.centre.z);
+
+  let minD = Infinity, maxC = -Infinity, capC = -Infinity;
+  const rowC = new Float32Array(HEIGHT_SAMPLES + 1);
+  for (let j = 0; j <= HEIGHT_SAMPLES; j++) {
+    const v = j / HEIGHT_SAMPLES, z = v * H;
+    let row = -Infinity;
+    for (let i = 0; i < ANGLE_SAMPLES; i++) {
+      const ang = (i / ANGLE_SAMPLES) * 2 * Math.PI;
+      const r = printInnerRadiusAt(p, v, ang);
+      const x = r * Math.cos(ang), y = r * Math.sin(ang);
+      minD = Math.min(minD, gap(x, y, z));
+      row = Math.max(row, wallTemperature(src, plume, x, y, z));
+    }
+    rowC[j] = row;
+    maxC = Math.max(maxC, row);
+  }
+
+  // The cap's inside face, from the fitting hole (or the axis) out to the wall
+  const capZ = p.mount === "standing" ? capH : H - capH;
+  const capV = capZ / H;
+  for (let i = 0; i < ANGLE_SAMPLES; i++) {
+    const ang = (i / ANGLE_SAMPLES) * 2 * Math.PI;
+    const rOut = printInnerRadiusAt(p, capV, ang);
+    for (let k = 0; k <= 8; k++) {
+      const r = holeR + ((rOut - holeR) * k) / 8;
+      const x = r * Math.cos(ang), y = r * Math.sin(ang);
+      minD = Math.min(minD, gap(x, y, capZ));
+      capC = Math.max(capC, wallTemperature(src, plume, x, y, capZ));
+    }
+  }
+
+  const zones = [];
+  rowC.forEach((c, j) => {
+    if (c <= limitC) return;
+    const z = (j / HEIGHT_SAMPLES) * H, last = zones[zones.length - 1];
+    if (last && z - last.to <= (1.5 * H) / HEIGHT_SAMPLES) {
+      last.to = z;
+      last.worst = Math.max(last.worst, c);
+    } else zones.push({ from: z, to: z, worst: c });
+  });
+
+  const minGapMm = minD - src.radius;
+  const requiredMm = Math.max(0, Math.sqrt((ABSORBED * src.radiantW) / (4 * Math.PI * LOSS_W_M2K * (limitC - AMBIENT_C))) * 1000 - src.radius);
+  const hottest = Math.max(maxC, capC);
+  const level = hottest >= tgC || minGapMm <= 0 || src.watts > maxWatts ? "block"
+    : hottest > limitC ? "warn" : "ok";
+  return {
+    source: src, maxWatts, tgC, limitC, maxC, capC, minGapMm, requiredMm, zones, level,
+    vents: p.mount === "standing" ? null : ventLayout(p, { capH, holeR })
+  };
+}
+
+/** Sidebar / export lines for a heatCheck result. */
+export function describeHeat(check) {
+  const { source, tgC } = check;
+  const lines = [];
+  if (source.watts > check.maxWatts) lines.push(`${source.watts} W is over the holder's ${check.maxWatts} W rating.`);
+  if (check.minGapMm <= 0) lines.push("The bulb touches the wall or the cap.");
+  for (const z of check.zones) {
+    lines.push(`Wall reaches ≈ ${Math.round(z.worst)} °C at ${Math.round(z.from)}–${Math.round(z.to)} mm (filament softens at ${tgC} °C).`);
+  }
+  if (check.capC > check.limitC) {
+    lines.push(`The cap reaches ≈ ${Math.round(check.capC)} °C (filament softens at ${tgC} °C).`);
+  }
+  if (check.level !== "ok" && check.minGapMm < check.requiredMm) {
+    lines.push(`A ${source.watts} W ${source.type.label.toLowerCase()} bulb wants ≥ ${Math.round(check.requiredMm)} mm to the wall; the closest is ${Math.max(0, Math.round(check.minGapMm))} mm.`);
+  }
+  return lines;
+}
+
+/** Vents asked for, on a lamp that has a top cap (hanging). */
+export function hasCapVents(p) {
+  return !!p.capVents && p.mount !== "standing";
+}
+
+/**
+ * Vents for a hanging lamp's top cap: one ring of round holes midway between
+ * the fitting hole and the wall, VENT_EDGE clear of both, with the open area
+ * VENT_MM2_PER_W × the bulb's heat asks for (at least VENT_MIN_COUNT, at most
+ * what fits one diameter apart). A sconce's cap has no fitting hole: the
+ * ring goes midway between the axis and the front wall, and the vents that
+ * would reach the back plate are left out. Returns { vents: [{ x, y, r }],
+ * area, needed (mm²) }, or null when the cap has no room.
+ */
+export function ventLayout(p, { capH = 5, holeR = capHoleR(p) } = {}) {
+  const { radialSeg } = segmentsFor(p.res);
+  const plane = isSconce(p) ? sconcePlane(p) : null;
+  let rIn = Infinity;
+  for (let i = 0; i < radialSeg; i++) {
+    const ang = (i / radialSeg) * 2 * Math.PI;
+    if (plane && Math.cos(ang - plane.phi) > 0) continue;   // towards the back plate
+    rIn = Math.min(rIn, printInnerRadiusAt(p, 1, ang), printInnerRadiusAt(p, 1 - capH / p.height, ang));
+  }
+  const r0 = holeR + VENT_EDGE, r1 = rIn - VENT_EDGE;
+  const d = Math.min(VENT_D_MAX, r1 - r0);
+  if (d < VENT_D_MIN) return null;
+
+  const ring = (r0 + r1) / 2;
+  const needed = VENT_MM2_PER_W * heatSource(p).heatW;
+  const each = Math.PI * (d / 2) ** 2;
+  const fits = Math.floor((2 * Math.PI * ring) / (2 * d));
+  const count = Math.min(fits, Math.max(VENT_MIN_COUNT, Math.ceil(needed / each)));
+  // On a sconce: clear of the back plate, and of the side wall where it turns towards it
+  const clear = ({ x, y, r }) => {
+    if (!plane) return true;
+    const ang = Math.atan2(y, x), wall = Math.min(printInnerRadiusAt(p, 1, ang), printInnerRadiusAt(p, 1 - capH / p.height, ang));
+    return x * Math.cos(plane.phi) + y * Math.sin(plane.phi) + r + VENT_EDGE <= plane.inner && Math.hypot(x, y) + r + VENT_EDGE <= wall;
+  };
+  const vents = Array.from({ length: count }, (_, k) => {
+    const ang = ((k + 0.5) / count) * 2 * Math.PI;
+    return { x: ring * Math.cos(ang), y: ring * Math.sin(ang), r: d / 2 };
+  }).filter(clear);
+  if (!vents.length) return null;
+  return { vents, area: vents.length * each, needed };
+}
+
+/**
+ * Opening (sweepholes.js) for one vent: a round hole from the top cap's top
+ * face to its underside.
+ */
+export function ventOpening({ x, y, r }) {
+  const outline = Array.from({ length: VENT_SEGMENTS }, (_, k) => {
+    const a = (k / VENT_SEGMENTS) * 2 * Math.PI;
+    return [x + r * Math.cos(a), y + r * Math.sin(a)];
+  });
+  return { front: { face: "capTop", outline }, back: { face: "capUnder", outline } };
+}
+
+/**
+ * Per-vertex heat for the printability view: wall temperature at each
+ * vertex's inner wall point, as a fraction of the way from the room to the
+ * warning limit (1 = at the limit).
+ */
+export function wallHeat(p, geo) {
+  const src = heatSource(p);
+  const plume = plumeFactor(p);
+  const limitC = getFilament(p).tg - MARGIN_C;
+  const pos = geo.attributes.position.array;
+  const heat = new Float32Array(pos.length / 3);
+  for (let k = 0; k < heat.length; k++) {
+    const z = pos[k * 3 + 2], ang = Math.atan2(pos[k * 3 + 1], pos[k * 3]);
+    const r = printInnerRadiusAt(p, Math.min(1, Math.max(0, z / p.height)), ang);
+    const c = wallTemperature(src, plume, r * Math.cos(ang), r * Math.sin(ang), z);
+    heat[k] = (c - AMBIENT_C) / (limitC - AMBIENT_C);
+  }
+  return heat;
+}
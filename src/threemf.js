@@ -0,0 +1,172 @@
+// src/threemf.js
+// 3MF package (zip + XML) for slicers: one object per print part, the
+// filament colour as a base material, millimetre units, a plate thumbnail
+// and the design document as metadata, so the app can reopen the file.
+// DOM-free: the thumbnail comes in as PNG bytes.
+import * as THREE from "three";
+import { zipSync, unzipSync, strToU8, strFromU8 } from "three/addons/libs/fflate.module.js";
+import { getFitting } from "./fittings.js";
+
+const CORE_NS = "http://schemas.microsoft.com/3dmanufacturing/core/2015/02";
+const DESIGN_NS = "urn:organic-lamp:design";
+const DESIGN_KEY = "organiclamp:design";
+const MODEL_PATH = "3D/3dmodel.model";
+const THUMBNAIL_PATH = "Metadata/thumbnail.png";
+const PLATE_THUMBNAIL_PATH = "Metadata/plate_1.png";   // where Bambu Studio looks for plate 1
+const PLATE_GAP = 10;   // mm between objects laid out on the plate
+
+/**
+ * 3MF bytes for `objects`: [{ name, geometry (indexed), flip }], `flip`
+ * turning an object upside down for printing (hanging lamps print cap
+ * down). Objects are laid out side by side, centred on the printer's plate.
+ * Options:
+ *  design      serializeDesign document, stored as metadata
+ *  filament    getFilament entry, for the base material's name and colour
+ *  build       printer build volume { x, y, z } (mm)
+ *  thumbnail   PNG bytes, or null
+ *  appVersion  for the Application metadata
+ */
+export function build3mf(objects, { design, filament, build, thumbnail = null, appVersion = "cli" }) {
+  const placed = layoutOnPlate(objects, build);
+  const resources = placed.map(({ name, geometry }, k) =>
+    `  <object id="${k + 2}" type="model" name="${xmlEscape(name)}" pid="1" pindex="0">\n${meshXml(geometry)}\n  </object>`);
+  const items = placed.map(({ transform }, k) => `  <item objectid="${k + 2}" transform="${transform}"/>`);
+
+  const model = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<model unit="millimeter" xml:lang="en-US" xmlns="${CORE_NS}" xmlns:organiclamp="${DESIGN_NS}">`,
+    ` <metadata name="Title">Organic lamp</metadata>`,
+    ` <metadata name="Application">Organic Lamp Designer ${xmlEscape(String(appVersion))}</metadata>`,
+    ` <metadata name="CreationDate">${new Date().toISOString().slice(0, 10)}</metadata>`,
+    ` <metadata name="${DESIGN_KEY}" preserve="1">${xmlEscape(JSON.stringify(design))}</metadata>`,
+    ` <resources>`,
+    `  <basematerials id="1">`,
+    `   <base name="${xmlEscape(filament.name)}" displaycolor="${filament.color.toUpperCase()}FF"/>`,
+    `  </basematerials>`,
+    ...resources,
+    ` </resources>`,
+    ` <build>`,
+    ...items,
+    ` </build>`,
+    `</model>`
+  ].join("\n");
+
+  const files = {
+    "[Content_Types].xml": strToU8(contentTypes()),
+    "_rels/.rels": strToU8(relationships(!!thumbnail)),
+    [MODEL_PATH]: strToU8(model)
+  };
+  if (thumbnail) {
+    files[THUMBNAIL_PATH] = thumbnail;
+    files[PLATE_THUMBNAIL_PATH] = thumbnail;
+  }
+  return zipSync(files);
+}
+
+/**
+ * build3mf objects for the print solids (bottom up, as printPartsSteps
+ * returns them, built without the cap), the cap (buildPrintCap) and the
+ * optional retaining ring. Hanging lamps print their top part upside down,
+ * so it turns over; the cap prints flat as it is.
+ */
+export function lampObjects(p, solids, { cap, ring = null }) {
+  const hanging = p.mount !== "standing";
+  const objects = solids.map((geometry, k) => ({
+    name: solids.length > 1 ? `Lamp part ${k + 1} of ${solids.length}` : "Lamp body",
+    geometry,
+    flip: hanging && k === solids.length - 1
+  }));
+  objects.push({ name: hanging ? "Top cap" : "Bottom cap", geometry: cap, flip: false });
+  if (ring) objects.push({ name: `Retaining ring (${getFitting(p).label})`, geometry: ring, flip: false });
+  return objects;
+}
+
+/**
+ * The design document stored by build3mf, as JSON text (for parseDesign).
+ * Throws when the package holds no design.
+ */
+export function designFrom3mf(bytes) {
+  let model;
+  try {
+    model = unzipSync(bytes, { filter: f => f.name === MODEL_PATH })[MODEL_PATH];
+  } catch {
+    throw new Error("Not a readable 3MF file.");
+  }
+  const match = model && strFromU8(model).match(new RegExp(`<metadata name="${DESIGN_KEY}"[^>]*>([^<]*)</metadata>`));
+  if (!match) throw new Error("This 3MF was not saved by Organic Lamp (no design inside).");
+  return xmlUnescape(match[1]);
+}
+
+// ---- Model XML ----
+
+function meshXml(geometry) {
+  const pos = geometry.attributes.position.array;
+  const idx = geometry.index.array;
+  const n = v => +v.toFixed(4);
+  const vertices = [], triangles = [];
+  for (let i = 0; i < pos.length; i += 3) vertices.push(`<vertex x="${n(pos[i])}" y="${n(pos[i + 1])}" z="${n(pos[i + 2])}"/>`);
+  for (let i = 0; i < idx.length; i += 3) triangles.push(`<triangle v1="${idx[i]}" v2="${idx[i + 1]}" v3="${idx[i + 2]}"/>`);
+  return `   <mesh>\n    <vertices>\n${vertices.join("\n")}\n    </vertices>\n    <triangles>\n${triangles.join("\n")}\n    </triangles>\n   </mesh>`;
+}
+
+// Flip where asked, stand each object on the plate and line them up along X,
+// the row centred on the plate. Returns the objects with 3MF transforms.
+function layoutOnPlate(objects, build) {
+  const flip = new THREE.Matrix4().makeRotationX(Math.PI);
+  const boxes = objects.map(({ geometry, flip: flipped }) => {
+    geometry.computeBoundingBox();
+    const box = geometry.boundingBox.clone();
+    return flipped ? box.applyMatrix4(flip) : box;
+  });
+  const widths = boxes.map(b => b.max.x - b.min.x);
+  let x = build.x / 2 - (widths.reduce((a, w) => a + w, 0) + PLATE_GAP * (objects.length - 1)) / 2;
+  return objects.map((object, k) => {
+    const box = boxes[k];
+    const m = new THREE.Matrix4().makeTranslation(
+      x - box.min.x,
+      build.y / 2 - (box.min.y + box.max.y) / 2,
+      -box.min.z
+    );
+    if (object.flip) m.multiply(flip);
+    x += widths[k] + PLATE_GAP;
+    return { ...object, transform: transformAttr(m) };
+  });
+}
+
+// 3MF transforms act on row vectors: the images of the X, Y and Z axes, then the translation.
+function transformAttr(m) {
+  const e = m.elements;
+  return [e[0], e[1], e[2], e[4], e[5], e[6], e[8], e[9], e[10], e[12], e[13], e[14]]
+    .map(v => +v.toFixed(6)).join(" ");
+}
+
+// ---- Package parts ----
+
+function contentTypes() {
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`,
+    ` <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>`,
+    ` <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>`,
+    ` <Default Extension="png" ContentType="image/png"/>`,
+    `</Types>`
+  ].join("\n");
+}
+
+function relationships(withThumbnail) {
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`,
+    ` <Relationship Target="/${MODEL_PATH}" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>`,
+    ...(withThumbnail
+      ? [` <Relationship Target="/${THUMBNAIL_PATH}" Id="rel1" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/thumbnail"/>`]
+      : []),
+    `</Relationships>`
+  ].join("\n");
+}
+
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+const xmlEscape = s => s.replace(/[&<>"']/g, c => XML_ENTITIES[c]);
+const xmlUnescape = s => s.replace(/&(amp|lt|gt|quot|apos|#(\d+)|#x([0-9a-f]+));/gi, (m, name, dec, hex) =>
+  dec ? String.fromCodePoint(Number(dec)) : hex ? String.fromCodePoint(parseInt(hex, 16))
+    : { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[name]);
@@ -0,0 +1,74 @@
+// src/thumbnails.js
+// Offscreen thumbnails of whole designs, for the variation gallery: the
+// outer wall (buildSurface) in the filament's material (makeMaterial), lit
+// like the studio preview and framed to fit, on a small canvas of its own so
+// the main view is never touched.
+import * as THREE from "three";
+import { RoomEnvironment } from "three/addons/environments/RoomEnvironment.js";
+import { buildSurface } from "./geometry.js";
+import { makeMaterial } from "./materials.js";
+import { getFilament } from "./filaments.js";
+
+const VIEW_DIR = new THREE.Vector3(1, -1, 0.45).normalize();   // as the main camera's start
+const FOV = 30;
+
+/**
+ * Renderer for `width` × `height` px thumbnails.
+ *
+ *  render(p)   JPEG data URL of design `p`, built at low resolution
+ *  dispose()   free the WebGL context
+ */
+export function createThumbnailRenderer({ width = 160, height = 200 } = {}) {
+  const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+  renderer.setSize(width, height, false);
+  renderer.toneMapping = THREE.ACESFilmicToneMapping;
+  renderer.toneMappingExposure = 1.15;
+
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x0e1116);
+  const pmrem = new THREE.PMREMGenerator(renderer);
+  scene.environment = pmrem.fromScene(new RoomEnvironment()).texture;
+  pmrem.dispose();
+
+  scene.add(new THREE.AmbientLight(0xffffff, 0.35));
+  const hemi = new THREE.HemisphereLight(0xffffff, 0xdde3f0, 0.9);
+  hemi.position.set(0, 0, 1);
+  scene.add(hemi);
+  const key = new THREE.DirectionalLight(0xfff0de, 1.2);
+  key.position.set(350, -180, 420);
+  scene.add(key);
+
+  const camera = new THREE.PerspectiveCamera(FOV, width / height, 1, 10000);
+  camera.up.set(0, 0, 1);   // lamps stand on the XY plane
+
+  function render(p) {
+    const geometry = buildSurface({ ...p, res: "low" });
+    const material = makeMaterial(getFilament(p));
+    const mesh = new THREE.Mesh(geometry, material);
+    scene.add(mesh);
+
+    geometry.computeBoundingSphere();
+    const { center, radius } = geometry.boundingSphere;
+    const fov = THREE.MathUtils.degToRad(FOV) / 2;
+    const distance = radius / Math.sin(Math.min(fov, Math.atan(Math.tan(fov) * camera.aspect)));
+    camera.position.copy(center).addScaledVector(VIEW_DIR, distance * 1.05);
+    camera.near = distance / 100;
+    camera.far = distance * 3;
+    camera.updateProjectionMatrix();
+    camera.lookAt(center);
+
+    renderer.render(scene, camera);
+    const url = renderer.domElement.toDataURL("image/jpeg", 0.8);
+    scene.remove(mesh);
+    geometry.dispose();
+    material.dispose();
+    return url;
+  }
+
+  function dispose() {
+    scene.environment.dispose();
+    renderer.dispose();
+  }
+
+  return { render, dispose };
+}
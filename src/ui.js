@@ -1,26 +1,113 @@
+// Every bound control, by element id, so loaded designs can be pushed back
+// into the sidebar (see syncControls).
+const bindings = new Map();
+
+// Finished edits (slider released, select/check changed), for undo history.
+const commitListeners = [];
+export function onCommit(fn) { commitListeners.push(fn); }
+export function notifyCommit(id) { for (const fn of commitListeners) fn(id); }
+
 export function bindRange(id, key, params, rebuild, fmt) {
   const el = document.getElementById(id);
   if (!el) return; // element not present; skip
   const lab = document.getElementById("val_" + id);
+  bindings.set(id, { key, kind: "range", fmt });
   function update(){
     params[key] = parseFloat(el.value);
     if (lab) lab.textContent = fmt ? fmt(el.value) : el.value;
     rebuild();
   }
   el.addEventListener("input", update);
+  el.addEventListener("change", () => notifyCommit(id));
   update();
 }
 
-export function bindSelect(id, key, params, rebuild) {
+export function bindSelect(id, key, params, rebuild, parse = v => v) {
   const el = document.getElementById(id);
   if (!el) return;
-  el.addEventListener("change", e => { params[key] = e.target.value; rebuild(); });
+  bindings.set(id, { key, kind: "select" });
+  el.addEventListener("change", e => { params[key] = parse(e.target.value); rebuild(); notifyCommit(id); });
 }
 
 export function bindCheck(id, key, params, rebuild) {
   const el = document.getElementById(id);
   if (!el) return;
+  bindings.set(id, { key, kind: "check" });
   function update(){ params[key] = !!el.checked; rebuild(); }
-  el.addEventListener("change", update);
+  el.addEventListener("change", () => { update(); notifyCommit(id); });
   update();
 }
+
+// Text inputs / textareas: value kept as typed, commit when focus leaves.
+export function bindText(id, key, params) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  bindings.set(id, { key, kind: "text" });
+  el.value = params[key];
+  el.addEventListener("input", () => { params[key] = el.value; });
+  el.addEventListener("change", () => notifyCommit(id));
+}
+
+/** Write `params` back into every bound control and its val_* label (no rebuild). */
+export function syncControls(params) {
+  for (const [id, b] of bindings) {
+    const el = document.getElementById(id);
+    if (!el || !(b.key in params)) continue;
+    const v = params[b.key];
+    if (b.kind === "check") {
+      el.checked = !!v;
+      continue;
+    }
+    el.value = String(v);
+    if (b.kind === "range") {
+      const lab = document.getElementById("val_" + id);
+      if (lab) lab.textContent = b.fmt ? b.fmt(el.value) : el.value;
+    }
+  }
+}
+
+export function fillSelect(id, options, selected) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.replaceChildren(...options.map(o => {
+    const opt = document.createElement("option");
+    opt.value = o.value;
+    opt.textContent = o.label;
+    opt.selected = o.value === selected;
+    return opt;
+  }));
+}
+
+/**
+ * Build slider rows for declared params ({ key, label, min, max, step }) into
+ * `container`, using the same markup as the static rows in index.html.
+ * Controls are bound silently; `rebuild` only fires on user input.
+ */
+export function buildParamControls(container, defs, params, rebuild) {
+  if (!container) return;
+  container.replaceChildren();
+  let ready = false;
+  const onInput = () => { if (ready) rebuild(); };
+
+  for (const d of defs) {
+    const step = d.step ?? 1;
+    const decimals = step < 1 ? Math.ceil(-Math.log10(step)) : 0;
+
+    const row = document.createElement("div");
+    row.className = "row";
+    const label = document.createElement("label");
+    const name = document.createElement("span");
+    name.textContent = d.label;
+    const val = document.createElement("span");
+    val.id = "val_" + d.key;
+    label.append(name, val);
+
+    const input = document.createElement("input");
+    Object.assign(input, { id: d.key, type: "range", min: d.min, max: d.max, step, value: params[d.key] ?? d.default });
+    row.append(label, input);
+    container.appendChild(row);
+
+    bindRange(d.key, d.key, params, onInput, v => Number(v).toFixed(decimals));
+  }
+  ready = true;
+}
@@ -0,0 +1,79 @@
+// src/variations.js
+// Seeded variations for the explorer gallery: the shape sliders of a base
+// design nudged at random within their PARAM_SCHEMA ranges and the printer's
+// build volume (clampToPrinter), the rest of the design kept. The same base,
+// seed, locks and strength always give the same gallery, and every variation
+// carries its own seed, so a favourite can seed the next round. DOM-free.
+import { PARAM_SCHEMA, clampToPrinter } from "./params.js";
+import { getPrinter, printerLimits } from "./printers.js";
+
+/** The params a gallery varies, with the step their sliders move in. */
+export const VARIATION_KEYS = [
+  { key: "height", label: "Height", step: 1 },
+  { key: "rbase", label: "Base radius", step: 1 },
+  { key: "topscale", label: "Top scale", step: 0.01 },
+  { key: "waves", label: "Waves", step: 1 },
+  { key: "amp", label: "Amplitude", step: 0.01 },
+  { key: "twist", label: "Twist", step: 10 }
+];
+
+const SEED_RANGE = 2 ** 32;
+
+/** Random number generator (mulberry32) for a 32-bit seed: () → [0, 1). */
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+  };
+}
+
+/** A fresh seed for a new gallery. */
+export function randomSeed() {
+  return Math.floor(Math.random() * SEED_RANGE);
+}
+
+/**
+ * `count` variations of `base`: [{ seed, params }]. Each one's seed is drawn
+ * from the gallery `seed`, and its params from its own seed (mutate), so a
+ * variation looks the same in every gallery that holds it.
+ */
+export function variationGallery(base, { seed, count = 9, locked = [], strength = 0.25 }) {
+  const next = seededRandom(seed);
+  return Array.from({ length: count }, () => {
+    const own = Math.floor(next() * SEED_RANGE);
+    return { seed: own, params: mutate(base, own, { locked, strength }) };
+  });
+}
+
+/**
+ * A copy of `base` with each unlocked VARIATION_KEYS param moved by up to
+ * ± strength × its range (0–1), rounded to its slider step and kept inside
+ * the schema and the printer's slider ranges (printerLimits), then fitted
+ * with clampToPrinter.
+ */
+export function mutate(base, seed, { locked = [], strength = 0.25 } = {}) {
+  const rand = seededRandom(seed);
+  const p = structuredClone(base);
+  const { minHeight, maxHeight, minRadius, maxRadius } = printerLimits(getPrinter(p));
+  for (const { key, step } of VARIATION_KEYS) {
+    const r = 2 * rand() - 1;   // drawn for locked keys too, so locking one leaves the others as they were
+    if (locked.includes(key)) continue;
+    const { min: schemaMin, max: schemaMax, integer } = PARAM_SCHEMA[key];
+    let min = schemaMin, max = schemaMax;
+    if (key === "height") {
+      min = Math.max(min, minHeight);
+      if (!p.segmented) max = Math.min(max, maxHeight);
+    }
+    if (key === "rbase") {
+      min = Math.max(min, minRadius);
+      max = Math.min(max, maxRadius);
+    }
+    const v = Math.round((base[key] + r * strength * (max - min)) / step) * step;
+    p[key] = Math.min(max, Math.max(min, integer ? Math.round(v) : +v.toFixed(2)));
+  }
+  clampToPrinter(p);
+  return p;
+}